@@ -1,5 +1,14 @@
 const fs = require('fs').promises;
 const path = require('path');
+const os = require('os');
+const { SHARED_SIDECAR } = require('./config/sidecar-loader');
+
+// Source extensions picked up when config.inputExtensions is not set. HEIC/HEIF
+// and BMP need a libvips build with those decoders; without one the files are
+// reported and skipped.
+const DEFAULT_INPUT_EXTENSIONS = [
+  'jpg', 'jpeg', 'png', 'gif', 'webp', 'tif', 'tiff', 'heic', 'heif', 'avif', 'bmp', 'svg'
+];
 
 class ImageLiteApp {
   constructor({
@@ -9,6 +18,8 @@ class ImageLiteApp {
     qualityRulesEngine,
     optimizer,
     logger,
+    manifestManager = null,
+    changeDetector = null,
     inputDir = 'original'
   }) {
     this.config = config;
@@ -17,7 +28,10 @@ class ImageLiteApp {
     this.qualityRulesEngine = qualityRulesEngine;
     this.optimizer = optimizer;
     this.logger = logger;
+    this.manifestManager = manifestManager;
+    this.changeDetector = changeDetector;
     this.inputDir = inputDir;
+    this.inputExtensions = this._normalizeExtensions(config.inputExtensions || DEFAULT_INPUT_EXTENSIONS);
   }
 
   async processImages(options = {}) {
@@ -30,7 +44,7 @@ class ImageLiteApp {
       
       if (imageFiles.length === 0) {
         this.logger.log('No images found in the original directory');
-        return { processed: 0, skipped: 0, errors: 0, lfsPointers: 0, lfsErrors: 0 };
+        return { processed: 0, skipped: 0, errors: 0, lfsPointers: 0, lfsErrors: 0, unsupported: 0 };
       }
       
       this.progressManager.start(imageFiles.length);
@@ -49,9 +63,15 @@ class ImageLiteApp {
         skipped: 0,
         errors: 0,
         lfsPointers: 0,
-        lfsErrors: 0
+        lfsErrors: 0,
+        unsupported: 0
       };
       
+      if (this.manifestManager) {
+        await this.manifestManager.load();
+        this.manifestManager.prune(imageFiles);
+      }
+      
       const savedState = await this.errorRecoveryManager.loadState();
       let startIndex = 0;
       
@@ -64,66 +84,61 @@ class ImageLiteApp {
       }
       
       const filesToProcess = imageFiles.slice(startIndex);
+      const concurrency = Math.min(
+        this._resolveConcurrency(options.concurrency),
+        Math.max(filesToProcess.length, 1)
+      );
       
-      for (let i = 0; i < filesToProcess.length; i++) {
-        const file = filesToProcess[i];
-        
-        this.progressManager.setFilename(file);
-        
-        try {
-          const imageQuality = await this.qualityRulesEngine.getQualityForImage(
-            path.join(this.inputDir, file)
-          );
-          
-          const mergedQuality = {
-            ...this.config.quality,
-            ...imageQuality
-          };
-          
-          const result = await this.optimizer.optimizeImage(
-            path.join(this.inputDir, file), 
-            file,
-            { 
-              forceReprocess, 
-              pullLfs,
-              quality: mergedQuality
-            }
-          );
-          
-          this._updateStats(stats, result, file);
+      // Files finish out of order, so only checkpoint the contiguous prefix of
+      // completed files - resuming must never skip an image still in flight.
+      const completed = new Array(filesToProcess.length).fill(false);
+      let completedPrefix = 0;
+      let nextIndex = 0;
+      let failure = null;
+      let pendingSave = Promise.resolve();
+      
+      const worker = async () => {
+        while (!failure && nextIndex < filesToProcess.length) {
+          const index = nextIndex++;
           
-          if (result === 'error') {
-            // Log the error even if continuing on error
-            const error = new Error(`Failed to process ${file}`);
-            await this.errorRecoveryManager.logError(file, error, { type: 'processing_error' });
-            
-            if (!continueOnError) {
-              throw error;
-            }
+          try {
+            await this._processFile(filesToProcess[index], stats, { forceReprocess, pullLfs, continueOnError });
+          } catch (error) {
+            failure = failure || error;
           }
           
-          this.errorRecoveryManager.recordProcessedFile(file, { status: result });
-          
-          if (i % 10 === 0) {
-            await this.errorRecoveryManager.saveState({ 
-              processedCount: i + 1,
-              totalCount: imageFiles.length 
-            });
+          completed[index] = true;
+          while (completedPrefix < completed.length && completed[completedPrefix]) {
+            completedPrefix++;
           }
           
-        } catch (error) {
-          stats.errors++;
-          this.progressManager.increment({ status: 'error', filename: file });
-          await this.errorRecoveryManager.logError(file, error, { type: 'processing_error' });
-          
-          if (!continueOnError) {
-            throw error;
+          if (index % 10 === 0) {
+            const processedCount = startIndex + completedPrefix;
+            pendingSave = pendingSave.then(() => this.errorRecoveryManager.saveState({
+              processedCount,
+              totalCount: imageFiles.length
+            }));
+            await pendingSave;
           }
         }
+      };
+      
+      await Promise.all(Array.from({ length: concurrency }, () => worker()));
+      await pendingSave;
+      
+      await this._saveRunState();
+      
+      if (failure) {
+        throw failure;
       }
       
       this.progressManager.finish(false);
       
+      // Outputs the neverLarger guard replaced with the source bytes or skipped
+      const neverLarger = this.optimizer.neverLargerCounts || {};
+      stats.keptSource = neverLarger.copied || 0;
+      stats.skippedLarger = neverLarger.skipped || 0;
+      
       if (stats.errors === 0) {
         await this.errorRecoveryManager.clearState();
       } else {
@@ -143,6 +158,120 @@ class ImageLiteApp {
     }
   }
 
+  async _processFile(file, stats, options) {
+    const { forceReprocess, pullLfs, continueOnError } = options;
+    
+    this.progressManager.setFilename(file);
+    
+    // Invalid sidecars are logged with their details by the optimizer
+    let loggedError = null;
+    try {
+      const inputPath = path.join(this.inputDir, file);
+      const imageOptions = await this._getImageOptions(inputPath);
+      
+      const result = await this.optimizer.optimizeImage(
+        inputPath, 
+        file,
+        { 
+          forceReprocess, 
+          pullLfs,
+          ...imageOptions
+        }
+      );
+      
+      // The manifest is updated first so a failure there counts the image once
+      await this._updateManifest(file, result, imageOptions);
+      this._updateStats(stats, result, file);
+      
+      if (result === 'error' || result === 'sidecar-error') {
+        // Log the error even if continuing on error
+        const error = new Error(`Failed to process ${file}`);
+        if (result === 'error') {
+          await this.errorRecoveryManager.logError(file, error, { type: 'processing_error' });
+        } else {
+          loggedError = error;
+        }
+        
+        if (!continueOnError) {
+          throw error;
+        }
+      }
+      
+      this.errorRecoveryManager.recordProcessedFile(file, { status: result });
+      
+    } catch (error) {
+      stats.errors++;
+      this.progressManager.increment({ status: 'error', filename: file });
+      if (error !== loggedError) {
+        await this.errorRecoveryManager.logError(file, error, { type: 'processing_error' });
+      }
+      
+      if (!continueOnError) {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Resolve the per-image options for a source: its metadata and the
+   * processing profile of the quality rules it matches
+   */
+  async _getImageOptions(inputPath) {
+    const metadata = await this._readImageMetadata(inputPath);
+    const { quality, ...overrides } = await this.qualityRulesEngine.getProfileForImage(inputPath, metadata);
+    
+    return {
+      quality: {
+        ...this.config.quality,
+        ...quality
+      },
+      overrides,
+      metadata
+    };
+  }
+
+  async _readImageMetadata(inputPath) {
+    try {
+      return await this.optimizer.readImageMetadata(inputPath);
+    } catch {
+      // Unreadable sources (Git LFS pointers, corrupt files) are reported by
+      // the optimizer; rules with metadata conditions simply don't match them
+      return undefined;
+    }
+  }
+
+  async _updateManifest(file, result, imageOptions = {}) {
+    if (!this.manifestManager) {
+      return;
+    }
+    
+    // Skipped images keep their recorded outputs; only describe them when
+    // the manifest has no entry yet (e.g. first run with the manifest enabled)
+    const needsDescription = result === 'processed' ||
+      (result === 'skipped' && !this.manifestManager.hasImage(file));
+    
+    if (needsDescription) {
+      const description = await this.optimizer.describeOutputs(path.join(this.inputDir, file), file, imageOptions);
+      this.manifestManager.setImage(file, description);
+    } else if (result !== 'skipped') {
+      this.manifestManager.removeImage(file);
+    }
+  }
+
+  async _saveRunState() {
+    if (this.manifestManager) {
+      await this.manifestManager.save();
+    }
+    if (this.changeDetector) {
+      await this.changeDetector.save();
+    }
+  }
+
+  _resolveConcurrency(requested) {
+    const concurrency = requested || this.config.concurrency || os.cpus().length;
+    return Math.max(1, Math.floor(concurrency));
+  }
+
   async _findImageFiles(dir, relativePath = '') {
     const files = [];
     const entries = await fs.readdir(dir, { withFileTypes: true });
@@ -155,7 +284,7 @@ class ImageLiteApp {
         // Recursively scan subdirectories
         const subFiles = await this._findImageFiles(fullPath, relativeFilePath);
         files.push(...subFiles);
-      } else if (entry.isFile() && /\.(jpg|jpeg|png|gif|webp)$/i.test(entry.name)) {
+      } else if (entry.isFile() && this._isImageFile(entry.name)) {
         files.push(relativeFilePath);
       }
     }
@@ -163,6 +292,21 @@ class ImageLiteApp {
     return files;
   }
 
+  // Lowercase extensions without the leading dot, e.g. ".JPG" becomes "jpg"
+  _normalizeExtensions(extensions) {
+    if (!Array.isArray(extensions) || !extensions.every(extension => typeof extension === 'string')) {
+      throw new Error('inputExtensions must be an array of file extensions (e.g. ["jpg", "tiff", "heic"])');
+    }
+    
+    return new Set(extensions.map(extension => extension.toLowerCase().replace(/^\./, '')));
+  }
+
+  _isImageFile(filename) {
+    const extension = path.extname(filename).toLowerCase().slice(1);
+    
+    return extension !== '' && this.inputExtensions.has(extension);
+  }
+
   watchForChanges(options = {}) {
     const { pullLfs } = options;
     const chokidar = require('chokidar');
@@ -179,20 +323,23 @@ class ImageLiteApp {
       }
     });
     
+    // Events are handled concurrently, so load the manifest once and
+    // serialize writes of the manifest and hash cache
+    const manifestReady = this.manifestManager ? this.manifestManager.load() : Promise.resolve();
+    let runStateSave = Promise.resolve();
+    
+    // Manifest entries and output paths are keyed by the path relative to the
+    // input directory, as in batch runs
     const processFile = async (filePath, action) => {
-      const file = path.basename(filePath);
-      if (!/\.(jpg|jpeg|png|gif|webp)$/i.test(file)) {
+      const file = path.relative(this.inputDir, filePath);
+      if (!this._isImageFile(file)) {
         return;
       }
       
       this.logger.log(`\n${action === 'add' ? '📸 New' : '🔄'} image ${action === 'add' ? 'detected' : 'changed'}: ${file}`);
       
       try {
-        const imageQuality = await this.qualityRulesEngine.getQualityForImage(filePath);
-        const mergedQuality = {
-          ...this.config.quality,
-          ...imageQuality
-        };
+        const imageOptions = await this._getImageOptions(filePath);
         
         const result = await this.optimizer.optimizeImage(
           filePath,
@@ -200,13 +347,18 @@ class ImageLiteApp {
           { 
             forceReprocess: true,
             pullLfs,
-            quality: mergedQuality
+            ...imageOptions
           }
         );
         
+        await manifestReady;
+        await this._updateManifest(file, result, imageOptions);
+        runStateSave = runStateSave.catch(() => {}).then(() => this._saveRunState());
+        await runStateSave;
+        
         if (result === 'processed') {
           this.logger.log(`✅ ${action === 'add' ? 'Optimized' : 'Re-optimized'} ${file}`);
-        } else if (result === 'error') {
+        } else if (result === 'error' || result === 'sidecar-error') {
           this.logger.error(`❌ Failed to optimize ${file}`);
         }
       } catch (error) {
@@ -214,8 +366,50 @@ class ImageLiteApp {
       }
     };
     
-    watcher.on('add', filePath => processFile(filePath, 'add'));
-    watcher.on('change', filePath => processFile(filePath, 'change'));
+    // Editing, adding or removing an image's own sidecar (photo.jpg.json)
+    // re-optimizes the image; an images.meta.json re-optimizes every image
+    // of its directory
+    const processSidecar = async filePath => {
+      const dir = path.dirname(filePath);
+      let imagePaths = [filePath.replace(/\.json$/i, '')];
+      
+      if (path.basename(filePath) === SHARED_SIDECAR) {
+        try {
+          imagePaths = (await fs.readdir(dir, { withFileTypes: true }))
+            .filter(entry => entry.isFile() && this._isImageFile(entry.name))
+            .map(entry => path.join(dir, entry.name));
+        } catch {
+          // The directory was removed along with its images
+          return;
+        }
+      }
+      
+      for (const imagePath of imagePaths) {
+        try {
+          await fs.access(imagePath);
+        } catch {
+          // Sidecar of an image that does not exist (yet)
+          continue;
+        }
+        await processFile(imagePath, 'change');
+      }
+    };
+    
+    // Sidecars found by the initial scan belong to images processed by their own 'add' events
+    let ready = false;
+    const isSidecar = filePath => /\.json$/i.test(filePath);
+    
+    watcher.on('ready', () => {
+      ready = true;
+    });
+    watcher.on('add', filePath => {
+      if (!isSidecar(filePath)) {
+        return processFile(filePath, 'add');
+      }
+      return ready ? processSidecar(filePath) : undefined;
+    });
+    watcher.on('change', filePath => (isSidecar(filePath) ? processSidecar(filePath) : processFile(filePath, 'change')));
+    watcher.on('unlink', filePath => (isSidecar(filePath) ? processSidecar(filePath) : undefined));
     watcher.on('error', error => this.logger.error('❌ Watcher error:', error));
     
     return watcher;
@@ -233,6 +427,15 @@ class ImageLiteApp {
       if (stats.lfsErrors > 0) {
         this.logger.log(`   Git LFS errors: ${stats.lfsErrors} files`);
       }
+      if (stats.unsupported > 0) {
+        this.logger.log(`   Unsupported: ${stats.unsupported} files (no decoder in this libvips build)`);
+      }
+      if (stats.keptSource > 0) {
+        this.logger.log(`   Kept source bytes: ${stats.keptSource} outputs (re-encoding was larger)`);
+      }
+      if (stats.skippedLarger > 0) {
+        this.logger.log(`   Skipped larger outputs: ${stats.skippedLarger} outputs (neverLarger: skip)`);
+      }
       if (stats.errors > 0) {
         this.logger.log(`   Errors: ${stats.errors} images`);
         this.logger.log(`   Error details logged to: ${errorLog}`);
@@ -252,6 +455,7 @@ class ImageLiteApp {
         this.progressManager.increment({ status: 'skipped', filename: file });
         break;
       case 'error': 
+      case 'sidecar-error':
         stats.errors++; 
         this.progressManager.increment({ status: 'error', filename: file });
         break;
@@ -263,6 +467,10 @@ class ImageLiteApp {
         stats.lfsErrors++; 
         this.progressManager.increment({ status: 'error', filename: file });
         break;
+      case 'unsupported':
+        stats.unsupported++;
+        this.progressManager.increment({ status: 'skipped', filename: file });
+        break;
     }
   }
 }
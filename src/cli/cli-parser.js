@@ -14,6 +14,7 @@ class CliParser {
       watchMode: this.hasFlag('--watch'),
       maxRetries: this.getIntValue('--max-retries=', 3),
       retryDelay: this.getIntValue('--retry-delay=', 1000),
+      concurrency: this.getIntValue('--concurrency=', undefined),
       errorLog: this.getStringValue('--error-log=', 'image-lite-errors.log')
     };
 
@@ -50,6 +51,7 @@ Options:
   --watch              Watch for file changes and process automatically
   --max-retries=N      Maximum retry attempts for failed images (default: 3)
   --retry-delay=MS     Delay between retries in milliseconds (default: 1000)
+  --concurrency=N      Number of images to process in parallel (default: CPU count)
   --error-log=PATH     Path to error log file (default: image-lite-errors.log)
   --help, -h           Show this help message
 
@@ -20,14 +20,17 @@ const QualityRulesEngine = require('../core/quality-rules-engine');
 
 // Config imports
 const ConfigLoader = require('../config/config-loader');
+const SidecarLoader = require('../config/sidecar-loader');
 
 // State imports
 const ErrorRecoveryManager = require('../state/error-recovery-manager');
+const ManifestManager = require('../state/manifest-manager');
 
 // Utils imports
 const ProgressManager = require('../utils/progress-manager');
 const OutputPathGenerator = require('../utils/output-path-generator');
 const FileTimestampChecker = require('../utils/file-timestamp-checker');
+const ContentHashChecker = require('../utils/content-hash-checker');
 
 // Git imports
 const GitLfsDetector = require('../git/git-lfs-detector');
@@ -61,7 +64,11 @@ async function main() {
     
     // Load configuration
     const configLoader = new ConfigLoader(fs, path);
-    const config = await configLoader.loadConfig();
+    const cliConfig = {};
+    if (options.concurrency !== undefined) {
+      cliConfig.concurrency = options.concurrency;
+    }
+    const config = await configLoader.loadConfig(process.cwd(), cliConfig);
     
     // Apply CLI overrides
     if (options.noThumbnails) {
@@ -85,6 +92,16 @@ async function main() {
       resume: options.resumeFlag
     });
     
+    // Create build manifest (on unless `manifest: false`, and always on with
+    // hashed filenames so the hashed names can be looked up)
+    const manifestManager = config.manifest !== false || config.filenameHash
+      ? new ManifestManager({
+        outputDir: config.outputDir,
+        manifestFile: typeof config.manifest === 'string' ? config.manifest : undefined,
+        logger
+      })
+      : null;
+    
     // Create quality rules engine
     const qualityRulesEngine = new QualityRulesEngine(config.qualityRules || [], minimatch, path);
     
@@ -95,7 +112,10 @@ async function main() {
     });
     
     // Create file helpers
-    const timestampChecker = new FileTimestampChecker({ stat: fs.stat });
+    const changeDetector = config.changeDetection === 'hash'
+      ? new ContentHashChecker({ cacheFile: path.join(config.outputDir, '.image-lite-hashes.json'), logger })
+      : null;
+    const timestampChecker = changeDetector || new FileTimestampChecker({ stat: fs.stat });
     const pathGenerator = new OutputPathGenerator(config.outputDir);
     const processingConfigGenerator = new ProcessingConfigGenerator(config);
     
@@ -110,6 +130,8 @@ async function main() {
       pathGenerator,
       processingConfigGenerator,
       fileOperations: { copyFile: fs.copyFile },
+      sidecarLoader: new SidecarLoader({ qualityRulesEngine }),
+      errorLogger: errorRecoveryManager.errorLogger,
       logger
     });
     
@@ -121,6 +143,8 @@ async function main() {
       qualityRulesEngine,
       optimizer,
       logger,
+      manifestManager,
+      changeDetector,
       inputDir: INPUT_DIR
     });
     
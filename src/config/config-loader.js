@@ -1,3 +1,89 @@
+const { PROFILE_KEYS } = require('../core/quality-rules-engine');
+
+const boolean = { type: 'boolean' };
+const chromaSubsampling = { values: ['4:2:0', '4:4:4'] };
+
+// Sharp encoder options accepted in formatOptions, per output format
+const ENCODER_OPTIONS = {
+  webp: {
+    effort: { type: 'integer', min: 0, max: 6 },
+    lossless: boolean,
+    nearLossless: boolean,
+    smartSubsample: boolean,
+    smartDeblock: boolean,
+    alphaQuality: { type: 'integer', min: 0, max: 100 },
+    preset: { values: ['default', 'photo', 'picture', 'drawing', 'icon', 'text'] },
+    minSize: boolean,
+    mixed: boolean
+  },
+  avif: {
+    effort: { type: 'integer', min: 0, max: 9 },
+    lossless: boolean,
+    bitdepth: { values: [8, 10, 12] },
+    chromaSubsampling
+  },
+  jpeg: {
+    progressive: boolean,
+    mozjpeg: boolean,
+    chromaSubsampling,
+    trellisQuantisation: boolean,
+    overshootDeringing: boolean,
+    optimiseScans: boolean,
+    optimizeScans: boolean,
+    optimiseCoding: boolean,
+    optimizeCoding: boolean,
+    quantisationTable: { type: 'integer', min: 0, max: 8 },
+    quantizationTable: { type: 'integer', min: 0, max: 8 }
+  },
+  png: {
+    progressive: boolean,
+    compressionLevel: { type: 'integer', min: 0, max: 9 },
+    adaptiveFiltering: boolean,
+    palette: boolean,
+    colors: { type: 'integer', min: 2, max: 256 },
+    dither: { type: 'number', min: 0, max: 1 },
+    effort: { type: 'integer', min: 1, max: 10 }
+  }
+};
+
+// Encoded output formats, for settings given per format and thumbnail presets
+const OUTPUT_FORMATS = ['webp', 'avif', 'jpeg', 'png'];
+
+const FIT_MODES = ['inside', 'outside', 'cover', 'contain', 'fill'];
+
+// Gravities, edges and strategies sharp accepts as the resize position
+const POSITIONS = [
+  'centre', 'center', 'north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest',
+  'top', 'right top', 'right', 'right bottom', 'bottom', 'left bottom', 'left', 'left top',
+  'entropy', 'attention'
+];
+
+// Watermark placement, as sharp gravities
+const GRAVITIES = [
+  'north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest', 'centre', 'center'
+];
+
+// Kinds of outputs a watermark can be applied to
+const WATERMARK_OUTPUTS = ['full', 'widths', 'thumbnails'];
+
+// Adjustment steps of a transforms list, with the options each step accepts
+const TRANSFORM_STEPS = {
+  sharpen: { sigma: { type: 'number', min: 0.3, max: 10 } },
+  normalize: { lower: { type: 'integer', min: 0, max: 99 }, upper: { type: 'integer', min: 1, max: 100 } },
+  trim: { threshold: { type: 'number', min: 0, max: 255 } },
+  flatten: { background: { type: 'color' } },
+  grayscale: {}
+};
+
+// Output color spaces: convert to sRGB or Display P3, or keep the source profile
+const COLOR_SPACES = ['srgb', 'p3', 'preserve'];
+
+// What to do with an output larger than its same-format source (true means copy)
+const NEVER_LARGER_MODES = ['copy', 'skip'];
+
+// Options of the top-level png block, which configures palette quantization
+const PNG_PALETTE_OPTIONS = ['palette', 'colors', 'dither', 'effort'];
+
 class ConfigLoader {
   constructor(dependencies = {}) {
     // Inject dependencies with defaults
@@ -17,7 +103,10 @@ class ConfigLoader {
       preserveMetadata: false
     };
     
-    this.validFormats = ['webp', 'avif', 'original', 'jpeg', 'png'];
+    this.validFormats = ['webp', 'avif', 'original', 'jpeg', 'png', 'auto'];
+    
+    // Processing settings a quality rule (or sidecar) can override
+    this.profileKeys = PROFILE_KEYS;
   }
   
   async loadConfig(projectRoot = process.cwd(), cliArgs = {}) {
@@ -86,11 +175,22 @@ class ConfigLoader {
           throw new Error(`Invalid format: ${format}. Valid formats are: ${this.validFormats.join(', ')}`);
         }
       }
+      
+      if (config.formats.includes('auto') && config.formats.length > 1) {
+        throw new Error('The auto format cannot be combined with other formats');
+      }
+    }
+    
+    // Validate auto format tolerance
+    if (config.autoTolerance !== undefined) {
+      if (typeof config.autoTolerance !== 'number' || config.autoTolerance < 0 || config.autoTolerance > 1) {
+        throw new Error('autoTolerance must be a number between 0 and 1');
+      }
     }
     
     // Validate quality values
     if (config.quality !== undefined) {
-      const qualityFormats = ['webp', 'avif', 'jpeg'];
+      const qualityFormats = ['webp', 'avif', 'jpeg', 'png'];
       for (const format of qualityFormats) {
         if (config.quality[format] !== undefined) {
           const quality = config.quality[format];
@@ -101,6 +201,19 @@ class ConfigLoader {
       }
     }
     
+    // Validate PNG palette quantization
+    if (config.png !== undefined) {
+      this.validatePngOptions(config.png, 'png');
+    }
+    
+    // Validate encoder options
+    if (config.formatOptions !== undefined) {
+      this.validateFormatOptions(config.formatOptions, 'formatOptions');
+    }
+    
+    // Validate maximum output dimensions
+    this.validateSizing(config, '', { maxWidth: 'maxWidth', maxHeight: 'maxHeight' });
+    
     // Validate thumbnail width
     if (config.thumbnailWidth !== undefined) {
       if (typeof config.thumbnailWidth !== 'number' || 
@@ -110,6 +223,37 @@ class ConfigLoader {
       }
     }
     
+    // Validate thumbnail presets
+    if (config.thumbnails !== undefined) {
+      this.validateThumbnails(config.thumbnails, 'thumbnails');
+    }
+    
+    // Validate watermark
+    if (config.watermark !== undefined) {
+      this.validateWatermark(config.watermark, 'watermark');
+    }
+    
+    // Validate adjustment steps
+    if (config.transforms !== undefined) {
+      this.validateTransforms(config.transforms, 'transforms');
+    }
+    
+    // Validate placeholders
+    if (config.placeholders !== undefined) {
+      this.validatePlaceholders(config.placeholders);
+    }
+    
+    // Validate dominant color and palette extraction
+    if (config.colors !== undefined && typeof config.colors !== 'boolean') {
+      if (typeof config.colors !== 'object' || config.colors === null || Array.isArray(config.colors)) {
+        throw new Error('colors must be a boolean or an object');
+      }
+      const { paletteSize } = config.colors;
+      if (paletteSize !== undefined && (!Number.isInteger(paletteSize) || paletteSize < 1 || paletteSize > 16)) {
+        throw new Error('colors.paletteSize must be an integer between 1 and 16');
+      }
+    }
+    
     // Validate output directory
     if (config.outputDir !== undefined) {
       if (typeof config.outputDir !== 'string' || config.outputDir.trim() === '') {
@@ -117,6 +261,78 @@ class ConfigLoader {
       }
     }
     
+    // Validate responsive widths
+    if (config.widths !== undefined) {
+      if (!Array.isArray(config.widths)) {
+        throw new Error('widths must be an array');
+      }
+      
+      for (const width of config.widths) {
+        if (!Number.isInteger(width) || width < 1) {
+          throw new Error(`Invalid width: ${width}. Widths must be positive integers`);
+        }
+      }
+    }
+    
+    // Validate output byte budgets
+    if (config.maxBytes !== undefined) {
+      this.validateMaxBytes(config.maxBytes, 'maxBytes');
+    }
+    
+    // Validate SSIM target
+    if (config.targetSsim !== undefined) {
+      this.validateTargetSsim(config.targetSsim, 'targetSsim');
+    }
+    
+    // Validate animation poster
+    if (config.animationPoster !== undefined && typeof config.animationPoster !== 'boolean') {
+      throw new Error('animationPoster must be a boolean');
+    }
+    
+    // Validate input extensions
+    if (config.inputExtensions !== undefined) {
+      const isValid = Array.isArray(config.inputExtensions) && config.inputExtensions.length > 0 &&
+        config.inputExtensions.every(extension => typeof extension === 'string' && /^\.?[a-z0-9]+$/i.test(extension));
+      if (!isValid) {
+        throw new Error('inputExtensions must be a non-empty array of file extensions (e.g. ["jpg", "tiff", "heic"])');
+      }
+    }
+    
+    // Validate SVG rasterization density
+    if (config.svgDensity !== undefined) {
+      if (typeof config.svgDensity !== 'number' || config.svgDensity < 1 || config.svgDensity > 100000) {
+        throw new Error('svgDensity must be a number between 1 and 100000');
+      }
+    }
+    
+    // Validate build manifest
+    if (config.manifest !== undefined) {
+      const isPath = typeof config.manifest === 'string' && config.manifest.trim() !== '';
+      if (typeof config.manifest !== 'boolean' && !isPath) {
+        throw new Error('manifest must be a boolean or a file path');
+      }
+    }
+    
+    // Validate hashed filenames
+    if (config.filenameHash !== undefined && typeof config.filenameHash !== 'boolean') {
+      throw new Error('filenameHash must be a boolean');
+    }
+    
+    // Validate change detection strategy
+    if (config.changeDetection !== undefined) {
+      const validStrategies = ['mtime', 'hash'];
+      if (!validStrategies.includes(config.changeDetection)) {
+        throw new Error(`Invalid changeDetection: ${config.changeDetection}. Valid values are: ${validStrategies.join(', ')}`);
+      }
+    }
+    
+    // Validate concurrency
+    if (config.concurrency !== undefined) {
+      if (!Number.isInteger(config.concurrency) || config.concurrency < 1) {
+        throw new Error('concurrency must be a positive integer');
+      }
+    }
+    
     // Validate metadata preservation
     if (config.preserveMetadata !== undefined) {
       if (typeof config.preserveMetadata === 'boolean') {
@@ -126,7 +342,10 @@ class ConfigLoader {
         const validFields = ['copyright', 'creator', 'datetime', 'camera', 'gps', 'all'];
         for (const key in config.preserveMetadata) {
           if (!validFields.includes(key)) {
-            throw new Error(`Invalid metadata field: ${key}. Valid fields are: ${validFields.join(', ')}`);
+            throw new Error(
+              `Invalid metadata field: ${key}. Valid fields are: ${validFields.join(', ')} ` +
+              '(selected fields are kept as EXIF; XMP and IPTC are only kept with preserveMetadata: true)'
+            );
           }
           if (typeof config.preserveMetadata[key] !== 'boolean') {
             throw new Error(`Metadata field ${key} must be a boolean`);
@@ -137,6 +356,17 @@ class ConfigLoader {
       }
     }
     
+    // Validate output color space
+    if (config.colorSpace !== undefined && !COLOR_SPACES.includes(config.colorSpace)) {
+      throw new Error(`colorSpace must be one of: ${COLOR_SPACES.join(', ')}`);
+    }
+    
+    // Validate the guard against outputs larger than the source
+    if (config.neverLarger !== undefined && typeof config.neverLarger !== 'boolean' &&
+        !NEVER_LARGER_MODES.includes(config.neverLarger)) {
+      throw new Error(`neverLarger must be a boolean or one of: ${NEVER_LARGER_MODES.join(', ')}`);
+    }
+    
     // Validate quality rules
     if (config.qualityRules !== undefined) {
       if (!Array.isArray(config.qualityRules)) {
@@ -150,7 +380,9 @@ class ConfigLoader {
         
         // At least one matching criteria required
         if (!rule.pattern && !rule.directory && !rule.minWidth && !rule.minHeight && 
-            !rule.maxWidth && !rule.maxHeight) {
+            !rule.maxWidth && !rule.maxHeight && rule.format === undefined && 
+            rule.hasAlpha === undefined && !rule.minBytes && !rule.maxBytes && 
+            !rule.minAspectRatio && !rule.maxAspectRatio) {
           throw new Error(`qualityRules[${index}] must have at least one matching criteria`);
         }
         
@@ -165,7 +397,8 @@ class ConfigLoader {
         }
         
         // Validate size constraints
-        const sizeProps = ['minWidth', 'minHeight', 'maxWidth', 'maxHeight'];
+        const sizeProps = ['minWidth', 'minHeight', 'maxWidth', 'maxHeight', 
+          'minBytes', 'maxBytes', 'minAspectRatio', 'maxAspectRatio'];
         for (const prop of sizeProps) {
           if (rule[prop] !== undefined) {
             if (typeof rule[prop] !== 'number' || rule[prop] <= 0) {
@@ -174,22 +407,383 @@ class ConfigLoader {
           }
         }
         
-        // Validate quality object
-        if (!rule.quality || typeof rule.quality !== 'object') {
-          throw new Error(`qualityRules[${index}].quality must be an object`);
+        // Validate format condition
+        if (rule.format !== undefined) {
+          const formats = [].concat(rule.format);
+          if (formats.length === 0 || formats.some(format => typeof format !== 'string')) {
+            throw new Error(`qualityRules[${index}].format must be a string or an array of strings`);
+          }
         }
         
-        // Validate quality values
-        for (const format in rule.quality) {
-          const value = rule.quality[format];
-          if (typeof value !== 'number' || value < 1 || value > 100) {
-            throw new Error(`qualityRules[${index}].quality.${format} must be between 1 and 100`);
-          }
+        // Validate alpha condition
+        if (rule.hasAlpha !== undefined && typeof rule.hasAlpha !== 'boolean') {
+          throw new Error(`qualityRules[${index}].hasAlpha must be a boolean`);
         }
+        
+        // A rule is a processing profile - it must override at least one setting
+        if (!this.profileKeys.some(key => rule[key] !== undefined)) {
+          throw new Error(`qualityRules[${index}] must override at least one of: ${this.profileKeys.join(', ')}`);
+        }
+        
+        this.validateProfile(rule, `qualityRules[${index}].`);
       });
     }
   }
   
+  /**
+   * Validate the processing settings of a quality rule or sidecar overrides
+   * @param {Object} profile - Settings to validate (quality, formats, resize, ...)
+   * @param {string} prefix - Prefix for error messages, e.g. "qualityRules[0]."
+   */
+  validateProfile(profile, prefix) {
+    // Validate quality object
+    if (profile.quality !== undefined) {
+      if (typeof profile.quality !== 'object' || profile.quality === null) {
+        throw new Error(`${prefix}quality must be an object`);
+      }
+      
+      // Validate quality values
+      for (const format in profile.quality) {
+        const value = profile.quality[format];
+        if (typeof value !== 'number' || value < 1 || value > 100) {
+          throw new Error(`${prefix}quality.${format} must be between 1 and 100`);
+        }
+      }
+    }
+    
+    // Validate output formats
+    if (profile.formats !== undefined) {
+      if (!Array.isArray(profile.formats) || profile.formats.length === 0) {
+        throw new Error(`${prefix}formats must be a non-empty array`);
+      }
+      for (const format of profile.formats) {
+        if (!this.validFormats.includes(format)) {
+          throw new Error(`${prefix}formats has invalid format: ${format}. Valid formats are: ${this.validFormats.join(', ')}`);
+        }
+      }
+      if (profile.formats.includes('auto') && profile.formats.length > 1) {
+        throw new Error(`${prefix}formats cannot combine auto with other formats`);
+      }
+    }
+    
+    // Validate resize bounds
+    if (profile.resize !== undefined) {
+      if (typeof profile.resize !== 'object' || profile.resize === null) {
+        throw new Error(`${prefix}resize must be an object`);
+      }
+      if (profile.resize.width === undefined && profile.resize.height === undefined) {
+        throw new Error(`${prefix}resize must have a width or height`);
+      }
+      for (const prop of ['width', 'height']) {
+        const value = profile.resize[prop];
+        if (value !== undefined && (!Number.isInteger(value) || value < 1)) {
+          throw new Error(`${prefix}resize.${prop} must be a positive integer`);
+        }
+      }
+    }
+    
+    // Validate thumbnail settings
+    if (profile.generateThumbnails !== undefined && typeof profile.generateThumbnails !== 'boolean') {
+      throw new Error(`${prefix}generateThumbnails must be a boolean`);
+    }
+    if (profile.thumbnailWidth !== undefined) {
+      if (typeof profile.thumbnailWidth !== 'number' || 
+          profile.thumbnailWidth < 10 || 
+          profile.thumbnailWidth > 1000) {
+        throw new Error(`${prefix}thumbnailWidth must be between 10 and 1000`);
+      }
+    }
+    
+    // Validate output byte budget
+    if (profile.outputMaxBytes !== undefined) {
+      this.validateMaxBytes(profile.outputMaxBytes, `${prefix}outputMaxBytes`);
+    }
+    
+    // Validate SSIM target
+    if (profile.targetSsim !== undefined) {
+      this.validateTargetSsim(profile.targetSsim, `${prefix}targetSsim`);
+    }
+    
+    if (profile.thumbnails !== undefined) {
+      this.validateThumbnails(profile.thumbnails, `${prefix}thumbnails`);
+    }
+    
+    if (profile.watermark !== undefined) {
+      this.validateWatermark(profile.watermark, `${prefix}watermark`);
+    }
+    
+    if (profile.transforms !== undefined) {
+      this.validateTransforms(profile.transforms, `${prefix}transforms`);
+    }
+    
+    // Validate encoder options
+    if (profile.formatOptions !== undefined) {
+      this.validateFormatOptions(profile.formatOptions, `${prefix}formatOptions`);
+    }
+    
+    // Validate output dimension overrides
+    this.validateSizing(profile, prefix, {
+      maxWidth: 'outputMaxWidth',
+      maxHeight: 'outputMaxHeight'
+    });
+  }
+  
+  validateMaxBytes(maxBytes, name) {
+    const budgetFormats = ['webp', 'avif', 'jpeg'];
+    const isBudget = value => Number.isInteger(value) && value > 0;
+    
+    if (typeof maxBytes === 'object' && maxBytes !== null && !Array.isArray(maxBytes)) {
+      for (const format in maxBytes) {
+        if (!budgetFormats.includes(format)) {
+          throw new Error(`${name} has invalid format: ${format}. Valid formats are: ${budgetFormats.join(', ')}`);
+        }
+        if (!isBudget(maxBytes[format])) {
+          throw new Error(`${name}.${format} must be a positive integer`);
+        }
+      }
+    } else if (!isBudget(maxBytes)) {
+      throw new Error(`${name} must be a positive integer or an object of budgets per format`);
+    }
+  }
+  
+  /**
+   * Validate the maximum dimension settings of the config or of a rule
+   * @param {Object} settings - Config or quality rule
+   * @param {string} prefix - Prefix for error messages, e.g. "qualityRules[0]."
+   * @param {Object} keys - Names of the maxWidth and maxHeight settings in `settings`
+   */
+  validateSizing(settings, prefix, keys) {
+    const isDimension = value => Number.isInteger(value) && value > 0;
+    const isMegapixels = value => typeof value === 'number' && value > 0;
+    
+    for (const key of [keys.maxWidth, keys.maxHeight]) {
+      if (settings[key] !== undefined) {
+        this.validatePerFormat(settings[key], `${prefix}${key}`, isDimension, 'a positive integer');
+      }
+    }
+    if (settings.maxMegapixels !== undefined) {
+      this.validatePerFormat(settings.maxMegapixels, `${prefix}maxMegapixels`, isMegapixels, 'a positive number');
+    }
+    
+    if (settings.allowEnlargement !== undefined && typeof settings.allowEnlargement !== 'boolean') {
+      throw new Error(`${prefix}allowEnlargement must be a boolean`);
+    }
+    if (settings.fit !== undefined && !FIT_MODES.includes(settings.fit)) {
+      throw new Error(`${prefix}fit must be one of: ${FIT_MODES.join(', ')}`);
+    }
+    if (settings.position !== undefined && !POSITIONS.includes(settings.position)) {
+      throw new Error(`${prefix}position must be one of: ${POSITIONS.join(', ')}`);
+    }
+  }
+  
+  validateThumbnails(thumbnails, name) {
+    if (!Array.isArray(thumbnails)) {
+      throw new Error(`${name} must be an array of presets`);
+    }
+    
+    const names = new Set();
+    thumbnails.forEach((preset, index) => {
+      const presetName = `${name}[${index}]`;
+      if (typeof preset !== 'object' || preset === null) {
+        throw new Error(`${presetName} must be an object`);
+      }
+      
+      // Preset names become filename suffixes, so they must not look like ladder widths
+      if (typeof preset.name !== 'string' || !/^[a-z][a-z0-9_-]*$/i.test(preset.name)) {
+        throw new Error(`${presetName}.name must start with a letter and contain only letters, digits, - and _`);
+      }
+      if (names.has(preset.name)) {
+        throw new Error(`${name} has duplicate preset name: ${preset.name}`);
+      }
+      names.add(preset.name);
+      
+      if (!Number.isInteger(preset.width) || preset.width < 1) {
+        throw new Error(`${presetName}.width must be a positive integer`);
+      }
+      if (preset.height !== undefined && (!Number.isInteger(preset.height) || preset.height < 1)) {
+        throw new Error(`${presetName}.height must be a positive integer`);
+      }
+      if (preset.format !== undefined && !OUTPUT_FORMATS.includes(preset.format)) {
+        throw new Error(`${presetName}.format must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+      }
+      if (preset.crop !== undefined && !POSITIONS.includes(preset.crop)) {
+        throw new Error(`${presetName}.crop must be one of: ${POSITIONS.join(', ')}`);
+      }
+      if (preset.quality !== undefined && (typeof preset.quality !== 'number' || preset.quality < 1 || preset.quality > 100)) {
+        throw new Error(`${presetName}.quality must be between 1 and 100`);
+      }
+    });
+  }
+  
+  /**
+   * Validate watermark settings; `false` turns a configured watermark off
+   * @param {Object|boolean} watermark - { image, gravity, margin, opacity, scale, outputs }
+   * @param {string} name - Name for error messages, e.g. "qualityRules[0].watermark"
+   */
+  validateWatermark(watermark, name) {
+    if (watermark === false) {
+      return;
+    }
+    if (typeof watermark !== 'object' || watermark === null || Array.isArray(watermark)) {
+      throw new Error(`${name} must be an object or false`);
+    }
+    
+    if (typeof watermark.image !== 'string' || watermark.image.trim() === '') {
+      throw new Error(`${name}.image must be a path to the watermark image`);
+    }
+    if (watermark.gravity !== undefined && !GRAVITIES.includes(watermark.gravity)) {
+      throw new Error(`${name}.gravity must be one of: ${GRAVITIES.join(', ')}`);
+    }
+    if (watermark.margin !== undefined && (!Number.isInteger(watermark.margin) || watermark.margin < 0)) {
+      throw new Error(`${name}.margin must be a non-negative integer`);
+    }
+    for (const prop of ['opacity', 'scale']) {
+      const value = watermark[prop];
+      if (value !== undefined && (typeof value !== 'number' || value <= 0 || value > 1)) {
+        throw new Error(`${name}.${prop} must be greater than 0 and at most 1`);
+      }
+    }
+    if (watermark.outputs !== undefined) {
+      if (!Array.isArray(watermark.outputs) || watermark.outputs.length === 0) {
+        throw new Error(`${name}.outputs must be a non-empty array`);
+      }
+      for (const output of watermark.outputs) {
+        if (!WATERMARK_OUTPUTS.includes(output)) {
+          throw new Error(`${name}.outputs has invalid output: ${output}. Valid outputs are: ${WATERMARK_OUTPUTS.join(', ')}`);
+        }
+      }
+    }
+  }
+  
+  /**
+   * Validate placeholder settings: true, false or { lqip, blurhash, size, components }
+   * @param {Object|boolean} placeholders - Placeholder settings
+   */
+  validatePlaceholders(placeholders) {
+    if (typeof placeholders === 'boolean') {
+      return;
+    }
+    if (typeof placeholders !== 'object' || placeholders === null || Array.isArray(placeholders)) {
+      throw new Error('placeholders must be a boolean or an object');
+    }
+    
+    for (const prop of ['lqip', 'blurhash']) {
+      if (placeholders[prop] !== undefined && typeof placeholders[prop] !== 'boolean') {
+        throw new Error(`placeholders.${prop} must be a boolean`);
+      }
+    }
+    if (placeholders.size !== undefined &&
+        (!Number.isInteger(placeholders.size) || placeholders.size < 4 || placeholders.size > 64)) {
+      throw new Error('placeholders.size must be an integer between 4 and 64');
+    }
+    if (placeholders.components !== undefined) {
+      const { components } = placeholders;
+      if (!Array.isArray(components) || components.length !== 2 ||
+          !components.every(count => Number.isInteger(count) && count >= 1 && count <= 9)) {
+        throw new Error('placeholders.components must be [x, y] with integers between 1 and 9');
+      }
+    }
+  }
+  
+  // A single value for every output format, or an object of values per format
+  validatePerFormat(value, name, isValid, description) {
+    if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
+      for (const format in value) {
+        if (!OUTPUT_FORMATS.includes(format)) {
+          throw new Error(`${name} has invalid format: ${format}. Valid formats are: ${OUTPUT_FORMATS.join(', ')}`);
+        }
+        if (!isValid(value[format])) {
+          throw new Error(`${name}.${format} must be ${description}`);
+        }
+      }
+    } else if (!isValid(value)) {
+      throw new Error(`${name} must be ${description} or an object of values per format`);
+    }
+  }
+  
+  validatePngOptions(options, name) {
+    const schema = {};
+    for (const option of PNG_PALETTE_OPTIONS) {
+      schema[option] = ENCODER_OPTIONS.png[option];
+    }
+    this.validateEncoderOptions(options, schema, name);
+  }
+  
+  validateFormatOptions(formatOptions, name) {
+    if (typeof formatOptions !== 'object' || formatOptions === null || Array.isArray(formatOptions)) {
+      throw new Error(`${name} must be an object`);
+    }
+    
+    const formats = Object.keys(ENCODER_OPTIONS);
+    for (const format in formatOptions) {
+      if (!formats.includes(format)) {
+        throw new Error(`${name} has invalid format: ${format}. Valid formats are: ${formats.join(', ')}`);
+      }
+      this.validateEncoderOptions(formatOptions[format], ENCODER_OPTIONS[format], `${name}.${format}`);
+    }
+  }
+  
+  validateEncoderOptions(options, schema, name) {
+    if (typeof options !== 'object' || options === null || Array.isArray(options)) {
+      throw new Error(`${name} must be an object`);
+    }
+    
+    for (const [option, value] of Object.entries(options)) {
+      const rule = schema[option];
+      if (!rule) {
+        throw new Error(`${name} has unknown option: ${option}. Valid options are: ${Object.keys(schema).join(', ')}`);
+      }
+      
+      if (rule.values && !rule.values.includes(value)) {
+        throw new Error(`${name}.${option} must be one of: ${rule.values.join(', ')}`);
+      }
+      if (rule.type === 'boolean' && typeof value !== 'boolean') {
+        throw new Error(`${name}.${option} must be a boolean`);
+      }
+      if (rule.type === 'integer' && (!Number.isInteger(value) || value < rule.min || value > rule.max)) {
+        throw new Error(`${name}.${option} must be an integer between ${rule.min} and ${rule.max}`);
+      }
+      if (rule.type === 'number' && (typeof value !== 'number' || value < rule.min || value > rule.max)) {
+        throw new Error(`${name}.${option} must be a number between ${rule.min} and ${rule.max}`);
+      }
+      if (rule.type === 'color' && (typeof value !== 'string' || !/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value))) {
+        throw new Error(`${name}.${option} must be a hex color such as #ffffff`);
+      }
+    }
+  }
+  
+  /**
+   * Validate an ordered list of adjustment steps
+   * @param {Array<string|Object>} transforms - Step names or { type, ...options }, e.g.
+   *   ["normalize", { "type": "sharpen", "sigma": 1 }]
+   * @param {string} name - Name for error messages, e.g. "qualityRules[0].transforms"
+   */
+  validateTransforms(transforms, name) {
+    if (!Array.isArray(transforms)) {
+      throw new Error(`${name} must be an array of steps`);
+    }
+    
+    const steps = Object.keys(TRANSFORM_STEPS);
+    transforms.forEach((step, index) => {
+      const stepName = `${name}[${index}]`;
+      if (typeof step !== 'string' && (typeof step !== 'object' || step === null || Array.isArray(step))) {
+        throw new Error(`${stepName} must be a step name or an object with a type`);
+      }
+      
+      const { type, ...options } = typeof step === 'string' ? { type: step } : step;
+      if (!steps.includes(type)) {
+        throw new Error(`${stepName} has unknown step: ${type}. Valid steps are: ${steps.join(', ')}`);
+      }
+      this.validateEncoderOptions(options, TRANSFORM_STEPS[type], stepName);
+    });
+  }
+  
+  validateTargetSsim(targetSsim, name) {
+    if (typeof targetSsim !== 'number' || targetSsim <= 0 || targetSsim >= 1) {
+      throw new Error(`${name} must be a number between 0 and 1 (exclusive)`);
+    }
+  }
+  
   mergeConfigs(defaults, fileConfig, cliArgs) {
     // Deep merge objects
     const merged = { ...defaults };
@@ -0,0 +1,197 @@
+const path = require('path');
+const ConfigLoader = require('./config-loader');
+const QualityRulesEngine = require('../core/quality-rules-engine');
+
+// Sidecar shared by the images of a directory, keyed by filename
+const SHARED_SIDECAR = 'images.meta.json';
+
+// Settings a sidecar can define
+const SIDECAR_KEYS = ['focalPoint', 'crop', 'rotate', 'alt', 'overrides'];
+
+// Rotations in degrees clockwise
+const ROTATIONS = [0, 90, 180, 270];
+
+/**
+ * Loads per-image sidecars: `photo.jpg.json` next to the image, or the
+ * `photo.jpg` entry of the directory's images.meta.json. A sidecar sets the
+ * focal point, crop box, rotation and alt text of one image, and can
+ * override its processing settings like a quality rule.
+ */
+class SidecarLoader {
+  constructor(dependencies = {}) {
+    // Inject dependencies with defaults
+    this.fs = dependencies.fs || require('fs').promises;
+    this.configLoader = dependencies.configLoader || new ConfigLoader();
+    this.qualityRulesEngine = dependencies.qualityRulesEngine || new QualityRulesEngine();
+  }
+
+  /**
+   * Load the sidecar settings of a source image
+   * The image's own sidecar wins over its images.meta.json entry, key by key.
+   * @param {string} inputPath - Path to the source image
+   * @returns {Promise<Object|null>} { focalPoint, crop, rotate, alt, overrides, files } or null
+   *   without a sidecar; `files` lists the sidecar files the settings came from
+   * @throws {Error} When a sidecar is not valid JSON or has invalid settings
+   */
+  async load(inputPath) {
+    const filename = path.basename(inputPath);
+    const sharedPath = path.join(path.dirname(inputPath), SHARED_SIDECAR);
+    const ownPath = `${inputPath}.json`;
+
+    const sources = [];
+
+    const shared = await this.readJson(sharedPath);
+    if (shared !== null) {
+      if (typeof shared !== 'object' || Array.isArray(shared)) {
+        throw new Error(`${SHARED_SIDECAR} must be an object keyed by filename`);
+      }
+      if (shared[filename] !== undefined) {
+        this.validate(shared[filename], `${SHARED_SIDECAR} "${filename}"`);
+        sources.push({ file: sharedPath, settings: shared[filename] });
+      }
+    }
+
+    const own = await this.readJson(ownPath);
+    if (own !== null) {
+      this.validate(own, path.basename(ownPath));
+      sources.push({ file: ownPath, settings: own });
+    }
+
+    if (sources.length === 0) {
+      return null;
+    }
+
+    const sidecar = { files: sources.map(source => source.file) };
+    for (const { settings } of sources) {
+      const { overrides, ...rest } = settings;
+      Object.assign(sidecar, rest);
+      if (overrides) {
+        sidecar.overrides = { ...sidecar.overrides, ...overrides };
+      }
+    }
+
+    return sidecar;
+  }
+
+  /**
+   * Apply sidecar settings to the per-image options of a source
+   * Overrides win over the matching quality rules; the focal point, crop box
+   * and rotation are returned as `transforms` for the image processor.
+   * @param {Object} options - Per-image options ({ quality, overrides, metadata })
+   * @param {Object} sidecar - Settings returned by load()
+   * @returns {Object} The options to process the image with
+   */
+  applyTo(options, sidecar) {
+    const { quality, ...overrides } = this.qualityRulesEngine.applyProfile(
+      { ...options.overrides },
+      sidecar.overrides || {}
+    );
+
+    const transforms = {
+      ...(sidecar.rotate && { rotate: sidecar.rotate }),
+      ...(sidecar.crop && { crop: sidecar.crop }),
+      ...(sidecar.focalPoint && { focalPoint: sidecar.focalPoint })
+    };
+
+    return {
+      ...options,
+      quality: { ...options.quality, ...quality },
+      overrides,
+      ...(Object.keys(transforms).length > 0 && { transforms })
+    };
+  }
+
+  async readJson(filePath) {
+    let content;
+    try {
+      content = await this.fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    try {
+      return JSON.parse(content);
+    } catch (parseError) {
+      throw new Error(`Invalid JSON in ${path.basename(filePath)}: ${parseError.message}`);
+    }
+  }
+
+  /**
+   * Validate the settings of one sidecar
+   * @param {Object} settings - Parsed sidecar settings
+   * @param {string} name - Sidecar name for error messages, e.g. "photo.jpg.json"
+   */
+  validate(settings, name) {
+    if (typeof settings !== 'object' || settings === null || Array.isArray(settings)) {
+      throw new Error(`${name}: settings must be an object`);
+    }
+
+    for (const key in settings) {
+      if (!SIDECAR_KEYS.includes(key)) {
+        throw new Error(`${name}: invalid setting ${key}. Valid settings are: ${SIDECAR_KEYS.join(', ')}`);
+      }
+    }
+
+    // Validate focal point, as fractions of the (rotated and cropped) image
+    if (settings.focalPoint !== undefined) {
+      if (typeof settings.focalPoint !== 'object' || settings.focalPoint === null) {
+        throw new Error(`${name}: focalPoint must be an object with x and y`);
+      }
+      for (const prop of ['x', 'y']) {
+        const value = settings.focalPoint[prop];
+        if (typeof value !== 'number' || value < 0 || value > 1) {
+          throw new Error(`${name}: focalPoint.${prop} must be between 0 and 1`);
+        }
+      }
+    }
+
+    // Validate crop box, in pixels of the rotated image
+    if (settings.crop !== undefined) {
+      if (typeof settings.crop !== 'object' || settings.crop === null) {
+        throw new Error(`${name}: crop must be an object with left, top, width and height`);
+      }
+      for (const prop of ['left', 'top']) {
+        const value = settings.crop[prop];
+        if (!Number.isInteger(value) || value < 0) {
+          throw new Error(`${name}: crop.${prop} must be a non-negative integer`);
+        }
+      }
+      for (const prop of ['width', 'height']) {
+        const value = settings.crop[prop];
+        if (!Number.isInteger(value) || value < 1) {
+          throw new Error(`${name}: crop.${prop} must be a positive integer`);
+        }
+      }
+    }
+
+    if (settings.rotate !== undefined && !ROTATIONS.includes(settings.rotate)) {
+      throw new Error(`${name}: rotate must be one of: ${ROTATIONS.join(', ')}`);
+    }
+
+    if (settings.alt !== undefined && typeof settings.alt !== 'string') {
+      throw new Error(`${name}: alt must be a string`);
+    }
+
+    // Validate processing overrides like the settings of a quality rule
+    if (settings.overrides !== undefined) {
+      const { overrides } = settings;
+      if (typeof overrides !== 'object' || overrides === null || Array.isArray(overrides)) {
+        throw new Error(`${name}: overrides must be an object`);
+      }
+
+      const profileKeys = this.configLoader.profileKeys;
+      for (const key in overrides) {
+        if (!profileKeys.includes(key)) {
+          throw new Error(`${name}: overrides has invalid setting ${key}. Valid settings are: ${profileKeys.join(', ')}`);
+        }
+      }
+      this.configLoader.validateProfile(overrides, `${name}: overrides.`);
+    }
+  }
+}
+
+module.exports = SidecarLoader;
+module.exports.SHARED_SIDECAR = SHARED_SIDECAR;
\ No newline at end of file
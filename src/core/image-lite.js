@@ -1,5 +1,19 @@
 const path = require('path');
+const crypto = require('crypto');
 const fs = require('fs').promises;
+const ResizeCalculator = require('../utils/resize-calculator');
+const { DEFAULT_SVG_DENSITY } = require('./image-processor');
+
+// Auto-format candidates from broadest to narrowest browser support
+const AUTO_FORMAT_PREFERENCE = ['original', 'webp', 'avif'];
+
+// JSON files written next to the outputs of each source when their config key
+// is set: the OutputPathGenerator and ImageProcessor methods that build them,
+// and the manifest field they are recorded under
+const SOURCE_DATA = [
+  { key: 'placeholders', field: 'placeholder', generatePath: 'generatePlaceholderPath', create: 'createPlaceholder', description: 'a placeholder' },
+  { key: 'colors', field: 'colors', generatePath: 'generateColorsPath', create: 'extractColors', description: 'colors' }
+];
 
 class ImageLite {
   constructor(config = {}) {
@@ -13,6 +27,8 @@ class ImageLite {
       this.pathGenerator = config.pathGenerator;
       this.processingConfigGenerator = config.processingConfigGenerator;
       this.fileOperations = config.fileOperations;
+      this.sidecarLoader = config.sidecarLoader;
+      this.errorLogger = config.errorLogger;
       this.logger = config.logger;
     } else {
       // Legacy constructor with individual dependencies
@@ -24,6 +40,8 @@ class ImageLite {
         pathGenerator,
         processingConfigGenerator,
         fileOperations,
+        sidecarLoader,
+        errorLogger,
         logger
       } = config;
       
@@ -34,6 +52,8 @@ class ImageLite {
       this.pathGenerator = pathGenerator;
       this.processingConfigGenerator = processingConfigGenerator;
       this.fileOperations = fileOperations;
+      this.sidecarLoader = sidecarLoader;
+      this.errorLogger = errorLogger;
       this.logger = logger;
       
       // Default config
@@ -50,11 +70,22 @@ class ImageLite {
         preserveMetadata: false
       };
     }
+    
+    // Encoder decisions for outputs written during this run, keyed by output path
+    this.encodeReports = new Map();
+    // Dimensions and size of outputs written during this run, keyed by output path
+    this.writtenOutputs = new Map();
+    // Sidecar and processing configs each source was last planned with, keyed by
+    // input path, so its manifest entry describes the outputs actually written
+    this.plans = new Map();
+    // Outputs the neverLarger guard replaced with the source or skipped, over the whole run
+    this.neverLargerCounts = { copied: 0, skipped: 0 };
+    this.resizeCalculator = new ResizeCalculator();
   }
 
   async optimizeImage(inputPath, filename, options = {}) {
-    const ext = path.parse(filename).ext.toLowerCase();
-
+    this.plans.delete(inputPath);
+    
     // Check for Git LFS pointer
     if (await this.gitLfsDetector.isGitLfsPointer(inputPath)) {
       if (options.pullLfs) {
@@ -77,15 +108,56 @@ class ImageLite {
       }
     }
 
-    // Generate output paths based on config
-    const paths = this.generateConfiguredPaths(filename);
-    const outputPaths = Object.values(paths);
+    // Formats like HEIC depend on how libvips was built, so report a missing
+    // decoder per file instead of failing inside sharp
+    if (this.imageProcessor.canDecode && !this.imageProcessor.canDecode(inputPath)) {
+      const extension = path.extname(inputPath).toLowerCase();
+      this.logger.log(`⚠️  Skipping ${filename} (this libvips build has no decoder for ${extension} files)`);
+      return 'unsupported';
+    }
+
+    // A sidecar refines the per-image options; invalid ones fail the image
+    // rather than silently producing outputs without the intended settings
+    let sidecar;
+    try {
+      ({ options, sidecar } = await this.applySidecar(inputPath, options));
+    } catch (error) {
+      this.logger.error(`❌ Invalid sidecar for ${filename}: ${error.message}`);
+      await this.errorLogger?.log(filename, error, { type: 'sidecar_error' });
+      return 'sidecar-error';
+    }
+
+    // Generate output paths and processing configs
+    let configs;
+    
+    try {
+      configs = await this.buildProcessingConfigs(inputPath, filename, options);
+    } catch (error) {
+      this.logger.error(`❌ Error processing ${filename}: ${error.message}`);
+      return 'error';
+    }
+    
+    this.plans.set(inputPath, { configs, sidecar });
+    
+    const outputPaths = configs.map(config => config.outputPath);
+    const dataPaths = this.getSourceDataPaths(filename);
+    
+    // Edits to the sidecars and the watermark image count as source changes
+    const relatedFiles = [...(sidecar?.files || []), ...this.getWatermarkFiles(configs)];
 
     // Check if processing is needed
-    const needsProcessing = await this.timestampChecker.shouldProcess(
+    const signature = this.getProcessingSignature(configs, filename);
+    const expectedPaths = await this.getExpectedOutputPaths(configs, outputPaths);
+    const existingPaths = this.config.filenameHash ? await this.resolveHashedPaths(expectedPaths) : expectedPaths;
+    // Outputs still under their stable names (e.g. written before filenameHash
+    // was enabled) need a hashed variant
+    const unhashed = this.config.filenameHash && existingPaths.some((existingPath, i) => existingPath === expectedPaths[i]);
+    const needsProcessing = unhashed || await this.timestampChecker.shouldProcess(
       inputPath, 
-      outputPaths, 
-      options.forceReprocess
+      [...existingPaths, ...Object.values(dataPaths)], 
+      options.forceReprocess,
+      signature,
+      relatedFiles
     );
 
     if (!needsProcessing) {
@@ -98,33 +170,34 @@ class ImageLite {
       const outputDir = path.dirname(path.join(this.config.outputDir, filename));
       await fs.mkdir(outputDir, { recursive: true });
       
-      // Handle special cases
-      if (ext === '.gif') {
-        await this.fileOperations.copyFile(inputPath, path.join(this.config.outputDir, filename));
-        this.logger.log(`✅ Copied ${filename} (GIF files are not optimized)`);
-        return 'processed';
-      }
-
-
-      // Generate output paths and processing configs
-      const paths = this.pathGenerator.generatePaths(filename);
-      const configs = this.processingConfigGenerator ? 
-        this.processingConfigGenerator.generate(filename, paths, this.config) :
-        this.getProcessingConfigs(filename, inputPath);
-      
       if (configs.length > 0) {
         // Ensure output directory exists
         const outputDir = path.dirname(configs[0].outputPath);
         await fs.mkdir(outputDir, { recursive: true });
         
-        const results = await this.imageProcessor.processImage(inputPath, configs);
-        const failed = results.filter(r => !r.success);
-        if (failed.length > 0) {
-          throw new Error(`Failed to process ${filename}: ${failed[0].error}`);
+        if (this.getAutoCandidates(configs).length > 0) {
+          await this.processAutoFormat(inputPath, filename, configs, options.transforms);
+        } else {
+          const results = await this.runConfigs(inputPath, configs, options.transforms);
+          this.assertProcessed(filename, results);
+          this.reportEncodings(results);
+          await this.reportNeverLarger(results);
+        }
+        
+        if (this.config.filenameHash) {
+          await this.applyFilenameHashes(outputPaths);
+        } else {
+          await this.removeHashedVariants(outputPaths);
         }
-        this.logger.log(`✅ Optimized ${filename}`);
+        this.logger.log(configs.every(config => config.copy)
+          ? `✅ Copied ${filename}`
+          : `✅ Optimized ${filename}`);
       }
       
+      await this.writeSourceData(inputPath, filename, dataPaths, options.transforms);
+      
+      await this.timestampChecker.recordProcessed?.(inputPath, signature, relatedFiles);
+      
       return 'processed';
     } catch (error) {
       this.logger.error(`❌ Error processing ${filename}: ${error.message}`);
@@ -132,83 +205,626 @@ class ImageLite {
     }
   }
   
-  generateConfiguredPaths(filename) {
-    const name = path.parse(filename).name;
-    const ext = path.parse(filename).ext.toLowerCase();
-    const paths = {};
+  /**
+   * Paths of the source data JSON files enabled in the config, keyed by manifest field
+   * @returns {Object} e.g. { placeholder: 'out/hero.placeholder.json', colors: 'out/hero.colors.json' }
+   */
+  getSourceDataPaths(filename) {
+    const dataPaths = {};
+    for (const data of SOURCE_DATA.filter(data => this.config[data.key])) {
+      dataPaths[data.field] = this.pathGenerator[data.generatePath](filename);
+    }
+    return dataPaths;
+  }
+  
+  /**
+   * Write the placeholders and colors of a source as JSON next to its outputs
+   * Data that cannot be generated is reported without failing the image.
+   */
+  async writeSourceData(inputPath, filename, dataPaths, transforms) {
+    for (const data of SOURCE_DATA.filter(data => dataPaths[data.field])) {
+      const options = this.config[data.key] === true ? {} : this.config[data.key];
+      
+      try {
+        const result = await this.imageProcessor[data.create](inputPath, options, transforms);
+        await fs.mkdir(path.dirname(dataPaths[data.field]), { recursive: true });
+        await fs.writeFile(dataPaths[data.field], JSON.stringify(result, null, 2));
+      } catch (error) {
+        this.logger.error(`⚠️  Could not generate ${data.description} for ${filename}: ${error.message}`);
+      }
+    }
+  }
+  
+  /**
+   * Encode every auto-format candidate at full size, keep the smallest one
+   * (preferring broader support within autoTolerance) and generate the
+   * remaining outputs, such as width ladders, in the winning format only
+   */
+  async processAutoFormat(inputPath, filename, configs, transforms) {
+    const candidates = this.getAutoCandidates(configs);
+    const candidateResults = await this.runConfigs(inputPath, candidates, transforms);
+    this.assertProcessed(filename, candidateResults);
+    
+    const sizes = {};
+    for (const candidate of candidates) {
+      sizes[candidate.autoCandidate] = (await fs.stat(candidate.outputPath)).size;
+    }
+    
+    const winner = this.pickAutoFormat(sizes);
+    const winnerIndex = candidates.findIndex(candidate => candidate.autoCandidate === winner);
+    
+    // Drop the losing candidates, including their outputs from earlier runs
+    await this.removeOutputs(configs
+      .filter(config => config.autoCandidate && config.autoCandidate !== winner)
+      .map(config => config.outputPath));
+    
+    const remaining = configs.filter(config => 
+      !candidates.includes(config) && (!config.autoCandidate || config.autoCandidate === winner)
+    );
+    const results = await this.runConfigs(inputPath, remaining, transforms);
+    this.assertProcessed(filename, results);
+    
+    this.reportEncodings([candidateResults[winnerIndex], ...results]);
+    await this.reportNeverLarger([candidateResults[winnerIndex], ...results]);
+    
+    const winnerPath = candidates[winnerIndex].outputPath;
+    this.encodeReports.set(winnerPath, {
+      ...this.encodeReports.get(winnerPath),
+      autoFormat: { winner, candidates: sizes }
+    });
+    
+    const summary = Object.entries(sizes)
+      .map(([key, size]) => `${key} ${(size / 1024).toFixed(1)} KB`)
+      .join(', ');
+    this.logger.log(`   ${path.basename(winnerPath)}: auto format picked ${winner} (${summary})`);
+  }
+  
+  /**
+   * Pick the auto-format winner from the encoded candidate sizes
+   * @param {Object} sizes - Encoded size per candidate key (original, webp, avif)
+   * @returns {string} The most broadly supported candidate within autoTolerance of the smallest
+   */
+  pickAutoFormat(sizes) {
+    const tolerance = this.config.autoTolerance || 0;
+    const smallest = Math.min(...Object.values(sizes));
+    
+    return AUTO_FORMAT_PREFERENCE.find(key => 
+      sizes[key] !== undefined && sizes[key] <= smallest * (1 + tolerance)
+    );
+  }
+  
+  // Full-size auto-format candidates - the first config generated per candidate
+  getAutoCandidates(configs) {
+    const seen = new Set();
+    return configs.filter(config => {
+      if (!config.autoCandidate || seen.has(config.autoCandidate)) {
+        return false;
+      }
+      seen.add(config.autoCandidate);
+      return true;
+    });
+  }
+  
+  /**
+   * Outputs a previous run should have left on disk. With the auto format only
+   * the winning candidate is kept, so the candidate whose full-size output exists is expected.
+   * Outputs the neverLarger guard may skip, including copies that fall back to
+   * skipping, are only expected when they exist.
+   */
+  async getExpectedOutputPaths(configs, outputPaths) {
+    let expectedPaths = outputPaths;
+    
+    for (const candidate of this.getAutoCandidates(configs)) {
+      const [candidatePath] = this.config.filenameHash
+        ? await this.resolveHashedPaths([candidate.outputPath])
+        : [candidate.outputPath];
+      
+      try {
+        await fs.stat(candidatePath);
+      } catch {
+        continue;
+      }
+      
+      expectedPaths = configs
+        .filter(config => !config.autoCandidate || config.autoCandidate === candidate.autoCandidate)
+        .map(config => config.outputPath);
+      break;
+    }
+    
+    const skippable = configs.filter(config => config.neverLarger && !config.autoCandidate).map(config => config.outputPath);
+    const kept = [];
+    for (const outputPath of expectedPaths) {
+      const [existingPath] = this.config.filenameHash
+        ? await this.resolveHashedPaths([outputPath])
+        : [outputPath];
+      
+      try {
+        if (skippable.includes(outputPath)) {
+          await fs.stat(existingPath);
+        }
+        kept.push(outputPath);
+      } catch {
+        // Skipped by the guard on the last run
+      }
+    }
+    
+    return kept.length > 0 ? kept : expectedPaths;
+  }
+  
+  async removeOutputs(outputPaths) {
+    for (const outputPath of outputPaths) {
+      const variants = this.config.filenameHash ? await this.findHashedVariants(outputPath) : [];
+      for (const file of [outputPath, ...variants]) {
+        await fs.rm(file, { force: true });
+      }
+      this.writtenOutputs.delete(outputPath);
+      this.encodeReports.delete(outputPath);
+    }
+  }
+  
+  /**
+   * Generate outputs for a set of configs - copies (`copy: true`) are written
+   * as-is, everything else goes through the image processor
+   * @param {Object} transforms - Sidecar transforms ({ rotate, crop, focalPoint }), if any
+   * @returns {Promise<Object[]>} One result per config, in config order
+   */
+  async runConfigs(inputPath, configs, transforms) {
+    const encodeConfigs = configs.filter(config => !config.copy);
+    const encoded = encodeConfigs.length > 0
+      ? await this.imageProcessor.processImage(inputPath, encodeConfigs, transforms)
+      : [];
+    
+    const results = [];
+    for (const config of configs) {
+      if (config.copy) {
+        await this.fileOperations.copyFile(inputPath, config.outputPath);
+        results.push({ path: config.outputPath, success: true });
+      } else {
+        results.push(encoded.shift());
+      }
+    }
+    
+    // Encoder decisions of earlier runs no longer describe the rewritten outputs
+    for (const result of results) {
+      this.encodeReports.delete(result.path);
+      if (result.width) {
+        this.writtenOutputs.set(result.path, { width: result.width, height: result.height, size: result.size });
+      } else {
+        this.writtenOutputs.delete(result.path);
+      }
+    }
+    return results;
+  }
+  
+  assertProcessed(filename, results) {
+    const failed = results.filter(r => !r.success);
+    if (failed.length > 0) {
+      throw new Error(`Failed to process ${filename}: ${failed[0].error}`);
+    }
+  }
+  
+  /**
+   * Build the processing configs for a source image
+   * @param {string} inputPath - Path to the source image
+   * @param {string} filename - Source filename, relative to the input directory
+   * @param {Object} options - Per-image options ({ quality, overrides, metadata, transforms })
+   * @returns {Promise<Object[]>} One config per output
+   */
+  async buildProcessingConfigs(inputPath, filename, options = {}) {
+    const config = this.getImageConfig(options);
+    let metadata = options.metadata;
+    
+    // GIFs need their frame count, delays and loop count. Ones that cannot
+    // be decoded are copied unchanged, as are GIFs without a config generator.
+    if (path.extname(filename).toLowerCase() === '.gif') {
+      metadata = metadata || await this.readGifMetadata(inputPath, filename);
+      if (!metadata || !this.processingConfigGenerator) {
+        return [{ outputPath: path.join(this.config.outputDir, filename), format: 'gif', copy: true }];
+      }
+    }
+    
+    if (!this.processingConfigGenerator) {
+      return this.getProcessingConfigs(filename, inputPath, config);
+    }
+    
+    const paths = this.pathGenerator.generatePaths(filename);
+    if (config.thumbnails) {
+      paths.thumbnails = this.pathGenerator.generateThumbnailPaths(filename, config.thumbnails);
+    }
+    
+    // Width ladders need the source dimensions to skip widths that would upscale
+    if (config.widths?.length) {
+      paths.widths = this.pathGenerator.generateWidthPaths(filename, config.widths);
+      metadata = metadata || await this.imageProcessor.getMetadata(inputPath);
+    }
     
-    // Generate paths based on configured formats
-    if (this.config.formats.includes('webp')) {
-      paths.webp = path.join(this.config.outputDir, `${name}.webp`);
+    // Megapixel limits depend on the source aspect ratio
+    if (config.maxMegapixels) {
+      metadata = metadata || await this.imageProcessor.getMetadata(inputPath);
     }
     
-    if (this.config.formats.includes('avif')) {
-      paths.avif = path.join(this.config.outputDir, `${name}.avif`);
+    // Outputs are sized from the source as rotated and cropped by its sidecar
+    if (metadata && options.transforms) {
+      metadata = { ...metadata, ...this.resizeCalculator.getTransformedSize(metadata, options.transforms) };
     }
     
-    if (this.config.formats.includes('original') || 
-        this.config.formats.includes('jpeg') || 
-        this.config.formats.includes('png')) {
-      // Determine output extension
-      let outputExt = ext;
-      if (ext === '.jpeg' || ext === '.jpg') {
-        outputExt = this.config.formats.includes('jpeg') ? '.jpg' : ext;
-      } else if (ext === '.png') {
-        outputExt = '.png';
+    return this.processingConfigGenerator.generate(filename, paths, config, metadata);
+  }
+  
+  /**
+   * Apply the source's sidecar, if it has one, to its per-image options
+   * @param {string} inputPath - Path to the source image
+   * @param {Object} options - Per-image options ({ quality, overrides, metadata })
+   * @returns {Promise<Object>} { options, sidecar }; sidecar is null without one
+   */
+  async applySidecar(inputPath, options) {
+    const sidecar = this.sidecarLoader ? await this.sidecarLoader.load(inputPath) : null;
+    return {
+      options: sidecar ? this.sidecarLoader.applyTo(options, sidecar) : options,
+      sidecar
+    };
+  }
+  
+  async readGifMetadata(inputPath, filename) {
+    try {
+      return await this.imageProcessor.getMetadata(inputPath);
+    } catch {
+      this.logger.log(`⚠️  Could not decode frames of ${filename}, copying it unchanged`);
+      return null;
+    }
+  }
+  
+  /**
+   * Merge per-image options over the configured defaults
+   * `quality` is merged per format; `overrides` replaces any other config keys
+   * @param {Object} options - Per-image options ({ quality, overrides })
+   * @returns {Object} The config to generate this image's outputs with
+   */
+  getImageConfig(options = {}) {
+    const { quality, formatOptions, ...overrides } = options.overrides || {};
+    
+    // Rule encoder options refine the global ones per format
+    const mergedFormatOptions = { ...this.config.formatOptions };
+    for (const format in formatOptions) {
+      mergedFormatOptions[format] = { ...mergedFormatOptions[format], ...formatOptions[format] };
+    }
+    
+    return {
+      ...this.config,
+      ...overrides,
+      formatOptions: mergedFormatOptions,
+      quality: {
+        ...this.config.quality,
+        ...quality,
+        ...options.quality
+      }
+    };
+  }
+  
+  /**
+   * Read the source facts that quality rules match on
+   * @param {string} inputPath - Path to the source image
+   * @returns {Promise<Object>} { width, height, format, hasAlpha, size, pages, delay, loop }
+   */
+  async readImageMetadata(inputPath) {
+    const [metadata, stats] = await Promise.all([
+      this.imageProcessor.getMetadata(inputPath),
+      fs.stat(inputPath)
+    ]);
+    
+    return {
+      width: metadata.width,
+      height: metadata.height,
+      format: metadata.format,
+      hasAlpha: metadata.hasAlpha,
+      size: stats.size,
+      pages: metadata.pages,
+      delay: metadata.delay,
+      loop: metadata.loop
+    };
+  }
+  
+  /**
+   * Everything besides the source bytes that affects the generated outputs,
+   * used by content-hash change detection to notice config changes.
+   * SVG sources also depend on the density they are rasterized at, and
+   * auto-format winners on the tolerance they were picked with.
+   */
+  getProcessingSignature(configs, filename) {
+    const isSvg = path.extname(filename).toLowerCase() === '.svg';
+    const isAuto = configs.some(config => config.autoCandidate);
+    
+    return {
+      configs,
+      preserveMetadata: this.config.preserveMetadata,
+      ...(this.config.filenameHash && { filenameHash: true }),
+      ...(isSvg && { svgDensity: this.config.svgDensity || DEFAULT_SVG_DENSITY }),
+      ...(isAuto && { autoTolerance: this.config.autoTolerance || 0 }),
+      ...(this.config.colorSpace && { colorSpace: this.config.colorSpace }),
+      ...(this.config.placeholders && { placeholders: this.config.placeholders }),
+      ...(this.config.colors && { colors: this.config.colors })
+    };
+  }
+  
+  // Watermark images composited onto the outputs, relative to the project root
+  getWatermarkFiles(configs) {
+    return [...new Set(configs.filter(config => config.watermark).map(config => config.watermark.image))];
+  }
+  
+  /**
+   * Log and remember the quality chosen for outputs with a byte budget or SSIM target
+   * @param {Object[]} results - ImageProcessor results ({ path, quality, size, maxBytes, budgetMet, targetSsim, ssim })
+   */
+  reportEncodings(results) {
+    for (const result of results.filter(r => r.maxBytes || r.targetSsim)) {
+      const name = path.basename(result.path);
+      
+      this.encodeReports.set(result.path, {
+        quality: result.quality,
+        ...(result.maxBytes && { maxBytes: result.maxBytes, budgetMet: result.budgetMet }),
+        ...(result.targetSsim && { targetSsim: result.targetSsim, ssim: Number(result.ssim.toFixed(4)) })
+      });
+      
+      if (result.targetSsim) {
+        const ssim = result.ssim.toFixed(4);
+        if (result.ssim >= result.targetSsim) {
+          this.logger.log(`   ${name}: quality ${result.quality} reaches SSIM ${ssim} (target ${result.targetSsim})`);
+        } else {
+          this.logger.error(`⚠️  ${name} falls short of the SSIM target ${result.targetSsim} (${ssim} at quality ${result.quality})`);
+        }
+      }
+      
+      if (result.maxBytes) {
+        const budget = `${(result.maxBytes / 1024).toFixed(1)} KB`;
+        if (result.budgetMet) {
+          this.logger.log(`   ${name}: quality ${result.quality} fits the ${budget} budget`);
+        } else {
+          this.logger.error(`⚠️  ${name} exceeds the ${budget} budget even at quality ${result.quality} (${(result.size / 1024).toFixed(1)} KB)`);
+        }
+      }
+    }
+  }
+  
+  /**
+   * Log and remember the outputs the neverLarger guard replaced with the source
+   * bytes or skipped, removing hashed variants a skipped output left behind.
+   * Skips that stand in for a configured "copy" are reported as warnings.
+   * @param {Object[]} results - ImageProcessor results ({ path, neverLarger, copyFallback, encodedSize, sourceSize })
+   */
+  async reportNeverLarger(results) {
+    for (const result of results.filter(r => r.neverLarger)) {
+      const name = path.basename(result.path);
+      const encoded = `${(result.encodedSize / 1024).toFixed(1)} KB`;
+      const source = `${(result.sourceSize / 1024).toFixed(1)} KB`;
+      
+      this.neverLargerCounts[result.neverLarger]++;
+      
+      if (result.neverLarger === 'copied') {
+        this.encodeReports.set(result.path, {
+          ...this.encodeReports.get(result.path),
+          neverLarger: 'copied'
+        });
+        this.logger.log(`   ${name}: kept the source bytes (encoded ${encoded}, source ${source})`);
+      } else {
+        await this.removeOutputs([result.path]);
+        this.logger.log(`   ${name}: skipped, larger than the source (encoded ${encoded}, source ${source})`);
+        
+        if (result.copyFallback) {
+          this.logger.log(`⚠️  ${name} was not copied from the source, which keeps metadata or a color profile that preserveMetadata or colorSpace remove`);
+        }
       }
-      paths.original = path.join(this.config.outputDir, `${name}${outputExt}`);
     }
+  }
+  
+  /**
+   * Describe the outputs currently on disk for a source image
+   * Sources planned by optimizeImage are described with that plan, others are
+   * planned again. Outputs written this run are described from their
+   * processing results, others are read from disk.
+   * @param {string} inputPath - Path to the source image
+   * @param {string} filename - Source filename, relative to the input directory
+   * @param {Object} options - The per-image options the outputs were generated with
+   * @returns {Promise<Object>} { sourceSize, alt, placeholder, colors, outputs: [{ path, format, width, height, size, reduction }] }
+   * `alt` is the sidecar's alt text, when it has one; `placeholder` holds the
+   * { lqip, blurhash } and `colors` the { dominantColor, palette } written for
+   * the source, when enabled.
+   * Outputs encoded against a byte budget or SSIM target this run also carry
+   * { quality, maxBytes, budgetMet, targetSsim, ssim }; auto-format winners carry
+   * { autoFormat: { winner, candidates } }, and outputs the neverLarger guard
+   * replaced with the source bytes carry { neverLarger: 'copied' }
+   */
+  async describeOutputs(inputPath, filename, options = {}) {
+    const { configs: targets, sidecar } = this.plans.get(inputPath) || await this.planOutputs(inputPath, filename, options);
+    
+    const sourceSize = (await fs.stat(inputPath)).size;
+    const outputs = [];
+    
+    for (const target of targets) {
+      const outputPath = this.config.filenameHash
+        ? (await this.resolveHashedPaths([target.outputPath]))[0]
+        : target.outputPath;
+      
+      const output = this.writtenOutputs.get(target.outputPath) || await this.readOutput(outputPath);
+      if (!output) {
+        // Output was not generated (e.g. skipped variant)
+        continue;
+      }
+      
+      outputs.push({
+        path: outputPath,
+        ...(this.config.filenameHash && { name: target.outputPath }),
+        format: target.format,
+        ...(target.thumbnail && { thumbnail: target.thumbnail }),
+        width: output.width,
+        height: output.height,
+        size: output.size,
+        reduction: sourceSize > 0 ? Number((1 - output.size / sourceSize).toFixed(4)) : 0,
+        ...this.encodeReports.get(target.outputPath)
+      });
+    }
+    
+    return {
+      sourceSize,
+      ...(sidecar?.alt !== undefined && { alt: sidecar.alt }),
+      ...await this.readSourceData(filename),
+      outputs
+    };
+  }
+  
+  async planOutputs(inputPath, filename, options) {
+    const { options: imageOptions, sidecar } = await this.applySidecar(inputPath, options);
+    return { configs: await this.buildProcessingConfigs(inputPath, filename, imageOptions), sidecar };
+  }
+  
+  /**
+   * Read the dimensions and size of an output on disk, for outputs not written
+   * this run (e.g. copies, or images skipped before the manifest was enabled)
+   * @returns {Promise<Object|null>} { width, height, size }, or null when the output does not exist
+   */
+  async readOutput(outputPath) {
+    let stats;
+    try {
+      stats = await fs.stat(outputPath);
+    } catch {
+      return null;
+    }
+    
+    // Copied outputs may not be decodable (e.g. a corrupt GIF)
+    let metadata = {};
+    try {
+      metadata = await this.imageProcessor.getMetadata(outputPath);
+    } catch {
+      // Keep the entry without dimensions
+    }
+    
+    return { width: metadata.width, height: metadata.height, size: stats.size };
+  }
+  
+  async readSourceData(filename) {
+    const sourceData = {};
     
-    if (this.config.generateThumbnails) {
-      paths.thumbnail = path.join(this.config.outputDir, `${name}-thumb.webp`);
+    for (const [field, dataPath] of Object.entries(this.getSourceDataPaths(filename))) {
+      try {
+        sourceData[field] = JSON.parse(await fs.readFile(dataPath, 'utf8'));
+      } catch {
+        // Not generated (e.g. the source could not be decoded)
+      }
+    }
+    
+    return sourceData;
+  }
+  
+  /**
+   * Rename freshly written outputs to `<name>.<hash><ext>` and remove the
+   * hashed variants left behind by previous runs
+   * @param {string[]} outputPaths - Stable output paths that were just written
+   */
+  async applyFilenameHashes(outputPaths) {
+    for (const outputPath of outputPaths) {
+      let content;
+      try {
+        content = await fs.readFile(outputPath);
+      } catch {
+        // Output was not generated (e.g. skipped variant)
+        continue;
+      }
+      
+      const hash = crypto.createHash('sha256').update(content).digest('hex').slice(0, 8);
+      const hashedPath = this.pathGenerator.generateHashedPath(outputPath, hash);
+      
+      for (const stalePath of await this.findHashedVariants(outputPath)) {
+        if (stalePath !== hashedPath) {
+          await fs.unlink(stalePath);
+        }
+      }
+      
+      await fs.rename(outputPath, hashedPath);
+    }
+  }
+  
+  /**
+   * Remove the hashed variants of outputs written under their stable names,
+   * left behind by runs with filenameHash enabled
+   * @param {string[]} outputPaths - Stable output paths that were just written
+   */
+  async removeHashedVariants(outputPaths) {
+    for (const outputPath of outputPaths) {
+      for (const hashedPath of await this.findHashedVariants(outputPath)) {
+        await fs.unlink(hashedPath);
+      }
+    }
+  }
+  
+  /**
+   * Map stable output paths to their current hashed variants on disk
+   * Paths without a hashed variant are returned unchanged
+   */
+  async resolveHashedPaths(outputPaths) {
+    const resolved = [];
+    for (const outputPath of outputPaths) {
+      const [hashedPath] = await this.findHashedVariants(outputPath);
+      resolved.push(hashedPath || outputPath);
+    }
+    return resolved;
+  }
+  
+  async findHashedVariants(outputPath) {
+    const dir = path.dirname(outputPath);
+    let entries;
+    try {
+      entries = await fs.readdir(dir);
+    } catch {
+      return [];
     }
     
-    return paths;
+    return entries
+      .filter(entry => this.pathGenerator.isHashedVariant(outputPath, entry))
+      .map(entry => path.join(dir, entry));
   }
   
-  getProcessingConfigs(filename, _inputPath) {
+  getProcessingConfigs(filename, _inputPath, config = this.config) {
     const name = path.parse(filename).name;
     const ext = path.parse(filename).ext.toLowerCase();
     const configs = [];
     
     // Add format-specific configs based on configuration
     // Skip WebP-to-WebP conversion (input WebP should only generate other formats)
-    if (this.config.formats.includes('webp') && ext !== '.webp') {
+    if (config.formats.includes('webp') && ext !== '.webp') {
       configs.push({
-        outputPath: path.join(this.config.outputDir, `${name}.webp`),
+        outputPath: path.join(config.outputDir, `${name}.webp`),
         format: 'webp',
-        options: { quality: this.config.quality.webp },
-        resize: { width: 2000, height: 2000 }
+        options: { quality: config.quality.webp },
+        resize: this.resizeCalculator.getResize(config, 'webp')
       });
     }
     
-    if (this.config.formats.includes('avif')) {
+    if (config.formats.includes('avif')) {
       configs.push({
-        outputPath: path.join(this.config.outputDir, `${name}.avif`),
+        outputPath: path.join(config.outputDir, `${name}.avif`),
         format: 'avif',
-        options: { quality: this.config.quality.avif },
-        resize: { width: 2000, height: 2000 }
+        options: { quality: config.quality.avif },
+        resize: this.resizeCalculator.getResize(config, 'avif')
       });
     }
     
-    if (this.config.formats.includes('original') || 
-        (ext === '.png' && this.config.formats.includes('png')) ||
-        ((ext === '.jpg' || ext === '.jpeg') && this.config.formats.includes('jpeg'))) {
+    if (config.formats.includes('original') || 
+        (ext === '.png' && config.formats.includes('png')) ||
+        ((ext === '.jpg' || ext === '.jpeg') && config.formats.includes('jpeg'))) {
       const isJpeg = ext === '.jpg' || ext === '.jpeg';
       configs.push({
-        outputPath: path.join(this.config.outputDir, filename),
+        outputPath: path.join(config.outputDir, filename),
         format: isJpeg ? 'jpeg' : 'png',
-        options: isJpeg ? { quality: this.config.quality.jpeg } : {},
-        resize: { width: 2000, height: 2000 }
+        options: isJpeg ? { quality: config.quality.jpeg } : {},
+        resize: this.resizeCalculator.getResize(config, isJpeg ? 'jpeg' : 'png')
       });
     }
     
-    if (this.config.generateThumbnails) {
+    if (config.generateThumbnails) {
       configs.push({
-        outputPath: path.join(this.config.outputDir, `${name}-thumb.webp`),
+        outputPath: path.join(config.outputDir, `${name}-thumb.webp`),
         format: 'webp',
-        options: { quality: this.config.quality.webp },
-        resize: { width: this.config.thumbnailWidth, height: this.config.thumbnailWidth }
+        options: { quality: config.quality.webp },
+        resize: { width: config.thumbnailWidth, height: config.thumbnailWidth }
       });
     }
     
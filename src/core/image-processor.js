@@ -1,42 +1,135 @@
+const path = require('path');
+const MetadataFilter = require('../utils/metadata-filter');
+const SsimCalculator = require('../utils/ssim-calculator');
+const ResizeCalculator = require('../utils/resize-calculator');
+const BlurhashEncoder = require('../utils/blurhash-encoder');
+const ColorQuantizer = require('../utils/color-quantizer');
+
+// Quality range searched for byte budgets and SSIM targets
+const MIN_QUALITY = 1;
+const MAX_QUALITY = 100;
+
+// Resolution SVG sources are rasterized at unless config.svgDensity is set
+const DEFAULT_SVG_DENSITY = 72;
+
+// Placeholder defaults: LQIP size in pixels and BlurHash components per axis
+const DEFAULT_PLACEHOLDER_SIZE = 16;
+const DEFAULT_BLURHASH_COMPONENTS = [4, 3];
+
+// Sources are shrunk to this size before BlurHash encoding, which only keeps low frequencies
+const BLURHASH_SAMPLE_SIZE = 32;
+
+// Palette size unless the colors config sets it, and the size sources are
+// shrunk to before their colors are counted
+const DEFAULT_PALETTE_SIZE = 5;
+const COLOR_SAMPLE_SIZE = 64;
+
+// Background of the flatten step unless it sets one
+const DEFAULT_FLATTEN_BACKGROUND = '#ffffff';
+
+// Watermark placement unless the watermark config sets it
+const DEFAULT_WATERMARK_GRAVITY = 'southeast';
+const DEFAULT_WATERMARK_SCALE = 0.2;
+
 class ImageProcessor {
-  constructor(sharp, config = {}) {
+  constructor(sharp, config = {}, dependencies = {}) {
     this.sharp = sharp;
     this.config = config;
+    this.fs = dependencies.fs || require('fs').promises;
+    this.metadataFilter = new MetadataFilter();
+    this.ssimCalculator = dependencies.ssimCalculator || new SsimCalculator();
+    this.resizeCalculator = new ResizeCalculator();
+    this.blurhashEncoder = new BlurhashEncoder();
+    this.colorQuantizer = new ColorQuantizer();
   }
 
-  async processImage(inputPath, outputConfigs) {
+  /**
+   * Generate outputs for a source image
+   * @param {string} inputPath - Path to the source image
+   * @param {Object[]} outputConfigs - One config per output
+   * @param {Object} transforms - Sidecar transforms ({ rotate, crop, focalPoint }); animated
+   *   outputs ignore them since sharp drops the frames when rotating or extracting.
+   *   Not to be confused with the adjustment steps of each config's `transforms` list.
+   * @returns {Promise<Object[]>} One result per config
+   */
+  async processImage(inputPath, outputConfigs, transforms = {}) {
     // Create base image processor
-    let image = this.sharp(inputPath).rotate();
-    
-    // Apply metadata configuration
-    if (this.config.preserveMetadata === false) {
-      // Don't add withMetadata - Sharp strips by default
-    } else if (this.config.preserveMetadata === true) {
-      // Preserve all metadata
-      image = image.withMetadata();
-    } else if (typeof this.config.preserveMetadata === 'object') {
-      // Selective preservation - for now, treat as preserve all
-      // TODO: Implement selective preservation
-      image = image.withMetadata();
-    } else {
-      // Default behavior - strip metadata
-    }
+    const image = await this.applyMetadata(this.openTransformed(inputPath, transforms), inputPath);
 
     const results = [];
+    let animatedImage = null;
+    let sourceSize = null;
+    const getSourceSize = async () => {
+      sourceSize = sourceSize ||
+        this.resizeCalculator.getTransformedSize(await this.getMetadata(inputPath), transforms);
+      return sourceSize;
+    };
     
     for (const config of outputConfigs) {
       try {
-        const processor = image.clone();
+        // Animated outputs decode every frame; everything else uses the first
+        if (config.animated && !animatedImage) {
+          animatedImage = this.open(inputPath, { animated: true });
+        }
+        let processor = (config.animated ? animatedImage : image).clone();
         
-        if (config.resize) {
+        // Crop-to-fill outputs are cropped around the sidecar's focal point
+        const focalCrop = transforms.focalPoint && !config.animated && config.resize?.fit === 'cover'
+          ? this.resizeCalculator.getFocalCrop(config.resize, await getSourceSize(), transforms.focalPoint)
+          : null;
+        
+        if (focalCrop) {
+          processor.resize(focalCrop.width, focalCrop.height).extract(focalCrop.extract);
+        } else if (config.resize) {
           processor.resize(config.resize.width, config.resize.height, {
-            withoutEnlargement: true,
-            fit: config.resize.fit || 'inside'
+            withoutEnlargement: config.resize.withoutEnlargement !== false,
+            fit: config.resize.fit || 'inside',
+            ...(config.resize.position && { position: config.resize.position })
           });
         }
+        
+        // Adjustment steps run after resizing and before the watermark, which
+        // they should not alter; animated outputs would lose their frames
+        if (config.transforms && !config.animated) {
+          processor = await this.applyTransforms(processor, config.transforms, inputPath);
+        }
+        
+        // Animated outputs are not watermarked since compositing flattens them
+        if (config.watermark && !config.animated) {
+          await this.applyWatermark(processor, config.watermark);
+        }
+
+        if (config.maxBytes || config.targetSsim) {
+          const encoded = await this.encodeAdaptive(processor, config);
+          const written = await this.writeGuarded(inputPath, config, encoded, transforms);
+          results.push({
+            path: config.outputPath,
+            success: true,
+            quality: encoded.quality,
+            size: encoded.buffer.length,
+            ...(config.maxBytes && {
+              maxBytes: config.maxBytes,
+              budgetMet: encoded.buffer.length <= config.maxBytes
+            }),
+            ...(config.targetSsim && {
+              targetSsim: config.targetSsim,
+              ssim: encoded.ssim
+            }),
+            ...written
+          });
+          continue;
+        }
+        
+        // Outputs that may fall back to the source are encoded to memory first
+        if (config.neverLarger) {
+          const { data, info } = await processor[config.format](config.options).toBuffer({ resolveWithObject: true });
+          const written = await this.writeGuarded(inputPath, config, { buffer: data, info }, transforms);
+          results.push({ path: config.outputPath, success: true, ...written });
+          continue;
+        }
 
-        await processor[config.format](config.options).toFile(config.outputPath);
-        results.push({ path: config.outputPath, success: true });
+        const info = await processor[config.format](config.options).toFile(config.outputPath);
+        results.push({ path: config.outputPath, success: true, ...this.describeEncoded(info) });
       } catch (error) {
         results.push({ path: config.outputPath, success: false, error: error.message });
       }
@@ -44,6 +137,467 @@ class ImageProcessor {
 
     return results;
   }
+
+  /**
+   * Dimensions and size of a written output, from sharp's output info
+   * Animated outputs report the height of a single frame.
+   * @returns {Object} { width, height, size }
+   */
+  describeEncoded(info) {
+    return { width: info.width, height: info.pageHeight || info.height, size: info.size };
+  }
+
+  /**
+   * Choose the quality for an output with an SSIM target and/or byte budget
+   * The SSIM target picks the lowest acceptable quality first; a byte budget
+   * can then lower it further, in which case the SSIM score is re-measured.
+   * @returns {Promise<Object>} { buffer, info, quality, ssim }
+   */
+  async encodeAdaptive(processor, config) {
+    let encoded = null;
+    let reference = null;
+    
+    if (config.targetSsim) {
+      reference = await this.readLuma(processor.clone());
+      encoded = await this.encodeForSsim(processor, config, reference);
+    }
+    
+    if (config.maxBytes && (!encoded || encoded.buffer.length > config.maxBytes)) {
+      const quality = encoded ? encoded.quality : config.options?.quality;
+      encoded = await this.encodeWithinBudget(processor, { ...config, options: { ...config.options, quality } });
+      
+      if (reference) {
+        encoded.ssim = await this.measureSsim(reference, encoded.buffer);
+      }
+    }
+    
+    return encoded;
+  }
+
+  /**
+   * Find the lowest quality whose SSIM against the resized source reaches
+   * config.targetSsim. When even MAX_QUALITY falls short, that encoding is returned.
+   * @returns {Promise<Object>} { buffer, info, quality, ssim }
+   */
+  async encodeForSsim(processor, config, reference) {
+    const encode = async quality => {
+      const encoded = await this.encodeAt(processor, config, quality);
+      return { quality, ...encoded, ssim: await this.measureSsim(reference, encoded.buffer) };
+    };
+    
+    let best = await encode(MAX_QUALITY);
+    if (best.ssim < config.targetSsim) {
+      return best;
+    }
+    
+    let low = MIN_QUALITY;
+    let high = MAX_QUALITY - 1;
+    
+    while (low <= high) {
+      const quality = Math.floor((low + high) / 2);
+      const attempt = await encode(quality);
+      
+      if (attempt.ssim >= config.targetSsim) {
+        best = attempt;
+        high = quality - 1;
+      } else {
+        low = quality + 1;
+      }
+    }
+    
+    return best;
+  }
+
+  async measureSsim(reference, buffer) {
+    const candidate = await this.readLuma(this.sharp(buffer));
+    return this.ssimCalculator.calculate(reference.data, candidate.data, reference.info);
+  }
+
+  // Single-channel raw pixels, so SSIM is measured on luma
+  readLuma(pipeline) {
+    return pipeline.removeAlpha().greyscale().raw().toBuffer({ resolveWithObject: true });
+  }
+
+  // Encoded buffer and sharp's output info
+  async encodeAt(processor, config, quality) {
+    const { data, info } = await processor.clone()[config.format]({ ...config.options, quality })
+      .toBuffer({ resolveWithObject: true });
+    return { buffer: data, info };
+  }
+
+  /**
+   * Find the highest quality whose encoded output fits under config.maxBytes
+   * Starts at the configured quality and binary searches down to MIN_QUALITY.
+   * When nothing fits, the smallest (minimum quality) encoding is returned.
+   * @returns {Promise<Object>} { buffer, info, quality }
+   */
+  async encodeWithinBudget(processor, config) {
+    const encode = async quality => ({
+      quality,
+      ...await this.encodeAt(processor, config, quality)
+    });
+    
+    const maxQuality = config.options?.quality || 80;
+    const initial = await encode(maxQuality);
+    if (initial.buffer.length <= config.maxBytes) {
+      return initial;
+    }
+    
+    let low = MIN_QUALITY;
+    let high = maxQuality - 1;
+    let best = null;
+    let smallest = initial;
+    
+    while (low <= high) {
+      const quality = Math.floor((low + high) / 2);
+      const attempt = await encode(quality);
+      
+      if (attempt.buffer.length <= config.maxBytes) {
+        best = attempt;
+        low = quality + 1;
+      } else {
+        smallest = attempt;
+        high = quality - 1;
+      }
+    }
+    
+    return best || smallest;
+  }
+
+  /**
+   * Composite a watermark onto a resized output: the watermark image is scaled
+   * to `scale` of the output width, faded to `opacity` and placed at `gravity`,
+   * `margin` pixels in from the edges
+   * @param {Object} processor - Sharp pipeline of the output, after resizing
+   * @param {Object} watermark - { image, gravity, margin, opacity, scale }
+   */
+  async applyWatermark(processor, watermark) {
+    // The output size is only known once sharp has run the resize
+    const { info: output } = await processor.clone().raw().toBuffer({ resolveWithObject: true });
+    
+    const margin = watermark.margin || 0;
+    const scale = watermark.scale || DEFAULT_WATERMARK_SCALE;
+    const maxWidth = Math.max(1, Math.min(Math.round(output.width * scale), output.width - 2 * margin));
+    const maxHeight = Math.max(1, output.height - 2 * margin);
+    
+    let overlay = this.open(watermark.image)
+      .resize(maxWidth, maxHeight, { fit: 'inside' })
+      .ensureAlpha();
+    
+    // Scale the overlay's alpha channel down to the opacity
+    if (watermark.opacity !== undefined && watermark.opacity < 1) {
+      overlay = overlay.composite([{
+        input: Buffer.from([255, 255, 255, Math.round(255 * watermark.opacity)]),
+        raw: { width: 1, height: 1, channels: 4 },
+        tile: true,
+        blend: 'dest-in'
+      }]);
+    }
+    
+    const { data, info } = await overlay.png().toBuffer({ resolveWithObject: true });
+    const gravity = watermark.gravity || DEFAULT_WATERMARK_GRAVITY;
+    
+    processor.composite([{
+      input: data,
+      left: this.placeWatermark(output.width, info.width, margin, gravity.endsWith('west'), gravity.endsWith('east')),
+      top: this.placeWatermark(output.height, info.height, margin, gravity.startsWith('north'), gravity.startsWith('south'))
+    }]);
+  }
+
+  /**
+   * Offset of a watermark along one axis, kept inside the output
+   * @param {boolean} atStart - Place it at the left or top edge
+   * @param {boolean} atEnd - Place it at the right or bottom edge; centred when neither
+   */
+  placeWatermark(size, overlaySize, margin, atStart, atEnd) {
+    let offset = Math.round((size - overlaySize) / 2);
+    if (atStart) {
+      offset = margin;
+    } else if (atEnd) {
+      offset = size - overlaySize - margin;
+    }
+    
+    return Math.min(Math.max(offset, 0), size - overlaySize);
+  }
+
+  /**
+   * Write an encoded output, unless the config's neverLarger guard replaces it
+   * An output larger than its source, at the same dimensions and without
+   * sidecar rotation or crop, gets the source bytes copied instead ("copy")
+   * or is not written at all ("skip"), removing any output of earlier runs.
+   * @param {string} inputPath - Path to the source image
+   * @param {Object} config - Output config ({ outputPath, neverLarger })
+   * @param {Object} encoded - The encoded output ({ buffer, info })
+   * @param {Object} transforms - Sidecar transforms ({ rotate, crop })
+   * @returns {Promise<Object>} { width, height, size } of the written file; outputs
+   *   the guard replaced also carry { neverLarger: 'copied' | 'skipped', encodedSize, sourceSize },
+   *   skipped ones without dimensions and with { copyFallback: true } when they stand in for a copy
+   */
+  async writeGuarded(inputPath, config, { buffer, info }, transforms = {}) {
+    if (config.neverLarger && !transforms.rotate && !transforms.crop) {
+      const sourceSize = (await this.fs.stat(inputPath)).size;
+      
+      if (buffer.length > sourceSize) {
+        const source = await this.getMetadata(inputPath);
+        
+        // A copy keeps everything the source carries, so sources with metadata
+        // or a color profile the config removes are skipped instead - except
+        // auto-format candidates, which are compared by size
+        const copyFallback = config.neverLarger === 'copy' && this.copyKeepsStripped(source);
+        
+        if (source.width === info.width && source.height === info.height && !(copyFallback && config.autoCandidate)) {
+          const guard = { encodedSize: buffer.length, sourceSize };
+          
+          if (config.neverLarger === 'skip' || copyFallback) {
+            await this.fs.rm(config.outputPath, { force: true });
+            return { neverLarger: 'skipped', ...(copyFallback && { copyFallback }), ...guard };
+          }
+          
+          await this.fs.copyFile(inputPath, config.outputPath);
+          return { width: info.width, height: info.height, size: sourceSize, neverLarger: 'copied', ...guard };
+        }
+      }
+    }
+    
+    await this.fs.writeFile(config.outputPath, buffer);
+    return this.describeEncoded(info);
+  }
+
+  /**
+   * Check whether the source bytes would keep metadata the config strips, or
+   * a color profile it strips or converts away from
+   * @param {Object} source - Source metadata ({ exif, xmp, iptc, icc })
+   * @returns {boolean} True when copying the source would not match the config
+   */
+  copyKeepsStripped(source) {
+    const { preserveMetadata, colorSpace } = this.config;
+    
+    const keepsAllMetadata = preserveMetadata === true || preserveMetadata?.all === true;
+    if (!keepsAllMetadata && (source.exif || source.xmp || source.iptc)) {
+      return true;
+    }
+    
+    const keepsProfile = colorSpace === 'preserve' || (!colorSpace && Boolean(preserveMetadata));
+    return Boolean(source.icc) && !keepsProfile;
+  }
+
+  /**
+   * Run adjustment steps in the order given. sharp runs the operations of one
+   * pipeline in a fixed order (trimming and flattening before resizing), so
+   * each step renders a lossless intermediate, keeping metadata and profile,
+   * that the next one reads.
+   * @param {Object} processor - sharp pipeline of the resized output
+   * @param {Array<string|Object>} steps - Step names or { type, ...options }
+   * @param {string} inputPath - Path to the source image, for selective metadata
+   * @returns {Promise<Object>} A sharp pipeline of the adjusted output, ready to encode
+   */
+  async applyTransforms(processor, steps, inputPath) {
+    let buffer = await this.renderIntermediate(processor);
+    
+    for (const step of steps) {
+      const { type, ...options } = typeof step === 'string' ? { type: step } : step;
+      buffer = await this.renderIntermediate(this.applyTransform(this.sharp(buffer), type, options));
+    }
+    
+    return this.applyMetadata(this.sharp(buffer), inputPath);
+  }
+  
+  applyTransform(image, type, options) {
+    switch (type) {
+      case 'sharpen':
+        return image.sharpen(options.sigma ? { sigma: options.sigma } : undefined);
+      case 'normalize':
+        return image.normalise(options);
+      case 'trim':
+        return image.trim(options);
+      case 'flatten':
+        return image.flatten({ background: options.background || DEFAULT_FLATTEN_BACKGROUND });
+      case 'grayscale':
+        return image.grayscale();
+      default:
+        throw new Error(`Unknown transform: ${type}`);
+    }
+  }
+  
+  renderIntermediate(image) {
+    return image.keepMetadata().png({ compressionLevel: 0 }).toBuffer();
+  }
+
+  /**
+   * Build low-quality image placeholders for a source
+   * @param {string} inputPath - Path to the source image
+   * @param {Object} options - { lqip, blurhash, size, components }; `lqip` and `blurhash` default to true
+   * @param {Object} transforms - Sidecar transforms ({ rotate, crop })
+   * @returns {Promise<Object>} { lqip, blurhash }: a base64 WebP data URL no larger
+   *   than `size` pixels and a BlurHash string, each when enabled
+   */
+  async createPlaceholder(inputPath, options = {}, transforms = {}) {
+    const image = this.openTransformed(inputPath, transforms);
+    const placeholder = {};
+    
+    if (options.lqip !== false) {
+      const size = options.size || DEFAULT_PLACEHOLDER_SIZE;
+      const buffer = await image.clone().resize(size, size, { fit: 'inside' }).webp({ quality: 50 }).toBuffer();
+      placeholder.lqip = `data:image/webp;base64,${buffer.toString('base64')}`;
+    }
+    
+    if (options.blurhash !== false) {
+      const { data, info } = await image.clone()
+        .resize(BLURHASH_SAMPLE_SIZE, BLURHASH_SAMPLE_SIZE, { fit: 'inside' })
+        .removeAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+      placeholder.blurhash = this.blurhashEncoder.encode(data, info, options.components || DEFAULT_BLURHASH_COMPONENTS);
+    }
+    
+    return placeholder;
+  }
+
+  /**
+   * Find the dominant color and a palette of a source
+   * @param {string} inputPath - Path to the source image
+   * @param {Object} options - { paletteSize }, the number of palette colors (default 5)
+   * @param {Object} transforms - Sidecar transforms ({ rotate, crop })
+   * @returns {Promise<Object>} { dominantColor, palette } as CSS hex colors; the palette
+   *   is ordered by how much of the image each color covers and has fewer colors
+   *   when the image does. Fully transparent images have no colors (dominantColor null).
+   */
+  async extractColors(inputPath, options = {}, transforms = {}) {
+    const { data, info } = await this.openTransformed(inputPath, transforms)
+      .resize(COLOR_SAMPLE_SIZE, COLOR_SAMPLE_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    
+    const palette = this.colorQuantizer.quantize(data, info, options.paletteSize || DEFAULT_PALETTE_SIZE)
+      .map(color => this.colorQuantizer.toHex(color));
+    
+    // The most common palette color, which averages its pixels rather than
+    // rounding to a histogram bin like sharp's stats().dominant
+    return {
+      dominantColor: palette[0] || null,
+      palette
+    };
+  }
+
+  /**
+   * Open a source auto-oriented by its EXIF data, then rotated and cropped
+   * by its sidecar (the crop box is in pixels of the rotated image)
+   */
+  openTransformed(inputPath, transforms = {}) {
+    let image = this.open(inputPath).rotate();
+    
+    if (transforms.rotate) {
+      image = image.rotate(transforms.rotate);
+    }
+    if (transforms.crop) {
+      image = image.extract(transforms.crop);
+    }
+    
+    return image;
+  }
+
+  /**
+   * Create a sharp pipeline for a source file
+   * SVGs are vector, so they are rasterized at config.svgDensity (DPI)
+   */
+  open(inputPath, options = {}) {
+    const inputOptions = path.extname(inputPath).toLowerCase() === '.svg'
+      ? { density: this.config.svgDensity || DEFAULT_SVG_DENSITY, ...options }
+      : options;
+    
+    return Object.keys(inputOptions).length > 0 ? this.sharp(inputPath, inputOptions) : this.sharp(inputPath);
+  }
+
+  /**
+   * Check whether this libvips build has a decoder for a source file
+   * Loaders list the suffixes they accept; ImageMagick, when built in, loads the rest
+   */
+  canDecode(inputPath) {
+    const formats = Object.values(this.sharp.format || {});
+    if (formats.length === 0) {
+      return true;
+    }
+    
+    const extension = path.extname(inputPath).toLowerCase();
+    return formats.some(format => format.input?.file && (
+      format.input.fileSuffix ? format.input.fileSuffix.includes(extension) : format.id === 'magick'
+    ));
+  }
+
+  async applySelectiveMetadata(image, inputPath, selection) {
+    if (selection.all) {
+      return this.keepAllMetadata(image);
+    }
+    
+    // Keep the ICC profile so colors survive, then write back only the
+    // selected EXIF groups. XMP and IPTC are dropped since sharp cannot
+    // filter them (their copyright and creator are carried over into EXIF).
+    const metadata = await this.open(inputPath).metadata();
+    const exif = this.metadataFilter.filter(metadata, selection);
+    
+    image = image.keepIccProfile();
+    return Object.keys(exif).length > 0 ? image.withExif(exif) : image;
+  }
+
+  /**
+   * Apply the preserveMetadata and colorSpace settings to a pipeline
+   */
+  async applyMetadata(image, inputPath) {
+    if (this.config.preserveMetadata === false) {
+      // Don't add withMetadata - Sharp strips by default
+    } else if (this.config.preserveMetadata === true) {
+      // Preserve all metadata
+      image = this.keepAllMetadata(image);
+    } else if (typeof this.config.preserveMetadata === 'object') {
+      // Selective preservation - keep only the chosen metadata groups
+      image = await this.applySelectiveMetadata(image, inputPath, this.config.preserveMetadata);
+    } else {
+      // Default behavior - strip metadata
+    }
+    
+    return this.applyColorSpace(image);
+  }
+
+  // withMetadata() also converts to sRGB, which the "preserve" color space opts out of
+  keepAllMetadata(image) {
+    return this.config.colorSpace === 'preserve' ? image.keepMetadata() : image.withMetadata();
+  }
+
+  /**
+   * Apply the configured color space, whatever metadata is kept. Sources are
+   * read through their embedded ICC profile (untagged ones as sRGB).
+   * - srgb: convert to sRGB and embed the sRGB profile
+   * - p3: convert to Display P3 and embed the P3 profile
+   * - preserve: keep the source pixels and embedded profile unchanged
+   * Without a color space, outputs are converted to sRGB and left untagged
+   * unless metadata is kept.
+   */
+  applyColorSpace(image) {
+    switch (this.config.colorSpace) {
+      case 'srgb':
+      case 'p3':
+        return image.withIccProfile(this.config.colorSpace);
+      case 'preserve':
+        return image.keepIccProfile();
+      default:
+        return image;
+    }
+  }
+
+  async getMetadata(inputPath) {
+    const metadata = await this.open(inputPath).metadata();
+    
+    // EXIF orientations 5-8 are rotated by 90 degrees, so the outputs
+    // produced after rotate() have width and height swapped
+    const rotated = metadata.orientation >= 5;
+    
+    return {
+      ...metadata,
+      width: rotated ? metadata.height : metadata.width,
+      height: rotated ? metadata.width : metadata.height
+    };
+  }
 }
 
-module.exports = ImageProcessor;
\ No newline at end of file
+module.exports = ImageProcessor;
+module.exports.DEFAULT_SVG_DENSITY = DEFAULT_SVG_DENSITY;
\ No newline at end of file
@@ -1,69 +1,305 @@
 const path = require('path');
+const ResizeCalculator = require('../utils/resize-calculator');
+
+// Lossy formats whose quality can be searched for a maxBytes budget or SSIM target
+const LOSSY_FORMATS = ['webp', 'avif', 'jpeg'];
+
+// Outputs a watermark is applied to unless watermark.outputs is set
+const DEFAULT_WATERMARK_OUTPUTS = ['full', 'widths'];
+
+// Output format matching each source extension, for the neverLarger guard
+const SOURCE_FORMATS = { '.jpg': 'jpeg', '.jpeg': 'jpeg', '.png': 'png', '.webp': 'webp', '.avif': 'avif' };
+
+// Photographic sources whose optimized original is written as JPEG; the rest
+// (PNG, rasterized SVG, WebP) keep lossless PNG
+const JPEG_SOURCES = ['.jpg', '.jpeg', '.tif', '.tiff', '.heic', '.heif', '.avif', '.bmp'];
 
 class ProcessingConfigGenerator {
   constructor(config = {}) {
     this.defaultConfig = config;
+    this.resizeCalculator = new ResizeCalculator();
   }
 
-  generate(filename, paths, customConfig = {}) {
+  generate(filename, paths, customConfig = {}, metadata = {}) {
     const ext = path.parse(filename).ext.toLowerCase();
     const config = { ...this.defaultConfig, ...customConfig };
     
+    // The auto format encodes every candidate; ImageLite keeps the smallest
+    const isAuto = config.formats?.includes('auto');
+    if (isAuto) {
+      config.formats = ['webp', 'avif', 'original'];
+    }
+    
+    // Animated GIFs keep every frame, their delays and loop count in WebP
+    const isGif = ext === '.gif';
+    const isAnimated = isGif && metadata.pages > 1;
+    
     const configs = [];
+    const outputs = [];
     
     // WebP format - skip WebP to WebP conversion
     if (config.formats?.includes('webp') && ext !== '.webp') {
-      configs.push({
-        outputPath: paths.webp,
+      outputs.push({
+        key: 'webp',
         format: 'webp',
-        options: { quality: config.quality?.webp || 85 },
-        resize: config.resize || { width: 2000, height: 2000, withoutEnlargement: true, fit: 'inside' }
+        options: {
+          quality: config.quality?.webp || 85,
+          ...(isAnimated && this.getAnimationOptions(metadata)),
+          ...config.formatOptions?.webp
+        },
+        animated: isAnimated
       });
     }
     
-    // AVIF format
-    if (config.formats?.includes('avif')) {
-      configs.push({
-        outputPath: paths.avif,
+    // AVIF format - libvips cannot write animated AVIF, so animations skip it
+    if (config.formats?.includes('avif') && !isAnimated) {
+      outputs.push({
+        key: 'avif',
         format: 'avif',
-        options: { quality: config.quality?.avif || 80 },
-        resize: config.resize || { width: 2000, height: 2000, withoutEnlargement: true, fit: 'inside' }
+        options: { quality: config.quality?.avif || 80, ...config.formatOptions?.avif }
       });
     }
     
-    // Original format (optimized)
-    if (config.formats?.includes('original') || 
+    // Original format (optimized) - GIFs are copied unchanged
+    if (isGif && config.formats?.includes('original')) {
+      outputs.push({ key: 'original', format: 'gif', copy: true });
+    } else if (config.formats?.includes('original') || 
         (ext === '.png' && config.formats?.includes('png')) ||
-        ((ext === '.jpg' || ext === '.jpeg') && config.formats?.includes('jpeg'))) {
-      const isJpeg = ext === '.jpg' || ext === '.jpeg';
-      configs.push({
-        outputPath: paths.original,
+        (JPEG_SOURCES.includes(ext) && config.formats?.includes('jpeg'))) {
+      const isJpeg = JPEG_SOURCES.includes(ext);
+      outputs.push({
+        key: 'original',
         format: isJpeg ? 'jpeg' : 'png',
         options: isJpeg 
-          ? { quality: config.quality?.jpeg || 90 } 
-          : { compressionLevel: 9 },
-        resize: config.resize || { width: 2000, height: 2000, withoutEnlargement: true, fit: 'inside' }
+          ? { quality: config.quality?.jpeg || 90, ...config.formatOptions?.jpeg } 
+          : this.getPngOptions(config)
       });
     }
     
-    // Thumbnail - only generate if enabled and not restricted to original-only
+    for (const output of outputs) {
+      output.maxBytes = this.getMaxBytes(config.maxBytes, output.format);
+      // SSIM is measured on single frames, so animated outputs have no target
+      output.targetSsim = LOSSY_FORMATS.includes(output.format) && !output.animated ? config.targetSsim : undefined;
+      output.autoCandidate = isAuto ? output.key : undefined;
+    }
+    
+    for (const output of outputs) {
+      if (output.copy) {
+        configs.push({
+          outputPath: paths[output.key],
+          format: output.format,
+          copy: true,
+          ...(output.autoCandidate && { autoCandidate: output.autoCandidate })
+        });
+        continue;
+      }
+      
+      configs.push({
+        outputPath: paths[output.key],
+        format: output.format,
+        options: output.options,
+        resize: this.resizeCalculator.getResize(config, output.format, metadata),
+        ...(output.maxBytes && { maxBytes: output.maxBytes }),
+        ...(output.targetSsim && { targetSsim: output.targetSsim }),
+        ...(output.autoCandidate && { autoCandidate: output.autoCandidate }),
+        ...(output.animated && { animated: true }),
+        ...this.getTransforms(config),
+        ...this.getWatermark(config, 'full'),
+        ...this.getNeverLarger(config, output, ext)
+      });
+    }
+    
+    // Responsive width ladder - one extra output per width per format
+    for (const width of this.getLadderWidths(config.widths, metadata)) {
+      for (const output of outputs.filter(o => !o.copy)) {
+        configs.push({
+          outputPath: paths.widths[width][output.key],
+          format: output.format,
+          options: output.options,
+          resize: { width, withoutEnlargement: true, fit: 'inside' },
+          ...(output.maxBytes && { maxBytes: output.maxBytes }),
+          ...(output.targetSsim && { targetSsim: output.targetSsim }),
+          ...(output.autoCandidate && { autoCandidate: output.autoCandidate }),
+          ...(output.animated && { animated: true }),
+          ...this.getTransforms(config),
+          ...this.getWatermark(config, 'widths')
+        });
+      }
+    }
+    
+    // Thumbnails - named presets when configured, otherwise a single square
+    // thumbnail if enabled and not restricted to original-only
     const isOriginalOnly = config.formats && config.formats.length === 1 && config.formats[0] === 'original';
-    if (config.generateThumbnails && !isOriginalOnly) {
+    if (config.thumbnails) {
+      if (config.generateThumbnails !== false) {
+        for (const preset of config.thumbnails) {
+          configs.push(this.getThumbnailConfig(preset, paths.thumbnails[preset.name], config));
+        }
+      }
+    } else if (config.generateThumbnails && !isOriginalOnly) {
       configs.push({
         outputPath: paths.thumbnail,
         format: 'webp',
-        options: { quality: config.quality?.thumbnail || 70 },
+        options: { quality: config.quality?.thumbnail || 70, ...config.formatOptions?.webp },
         resize: { 
           width: config.thumbnailWidth || 200, 
           height: config.thumbnailWidth || 200,
           withoutEnlargement: true,
           fit: 'cover'
-        }
+        },
+        ...this.getTransforms(config),
+        ...this.getWatermark(config, 'thumbnails')
+      });
+    }
+    
+    // Static first-frame poster for animations
+    if (isAnimated && config.animationPoster) {
+      configs.push({
+        outputPath: paths.poster,
+        format: 'webp',
+        options: { quality: config.quality?.webp || 85, ...config.formatOptions?.webp },
+        resize: this.resizeCalculator.getResize(config, 'webp', metadata),
+        ...this.getTransforms(config),
+        ...this.getWatermark(config, 'full')
       });
     }
     
     return configs;
   }
+
+  /**
+   * Processing config for a named thumbnail preset
+   * Presets crop to their box (keeping the aspect ratio when height is
+   * omitted) around the `crop` gravity or entropy/attention strategy.
+   */
+  getThumbnailConfig(preset, outputPath, config) {
+    const format = preset.format || 'webp';
+    const options = format === 'png'
+      ? { ...this.getPngOptions(config), ...(preset.quality && { quality: preset.quality }) }
+      : { quality: preset.quality || config.quality?.thumbnail || 70, ...config.formatOptions?.[format] };
+    
+    return {
+      outputPath,
+      format,
+      options,
+      resize: {
+        width: preset.width,
+        height: preset.height,
+        withoutEnlargement: true,
+        fit: 'cover',
+        position: preset.crop || 'centre'
+      },
+      thumbnail: preset.name,
+      ...this.getTransforms(config),
+      ...this.getWatermark(config, 'thumbnails')
+    };
+  }
+
+  /**
+   * Adjustment steps (sharpen, normalize, trim, flatten, grayscale) run on
+   * every resized output, as config properties to spread in
+   * @returns {Object} { transforms } when the config has steps, otherwise {}
+   */
+  getTransforms(config) {
+    return config.transforms?.length ? { transforms: config.transforms } : {};
+  }
+
+  /**
+   * neverLarger guard for a full-size output, as config properties to spread in
+   * Only outputs in the source's own format can fall back to the source, and
+   * not when a watermark or adjustment steps make them differ from it. Whether
+   * a copy would keep metadata the config strips depends on the source, so the
+   * ImageProcessor decides that per image. Skipping is not applied to
+   * auto-format candidates, which are compared by size.
+   * @param {Object} config - Image config; neverLarger is true or "copy", or "skip"
+   * @param {Object} output - Full-size output ({ format, animated, autoCandidate })
+   * @param {string} ext - Source file extension
+   * @returns {Object} { neverLarger: 'copy' | 'skip' } when the guard applies, otherwise {}
+   */
+  getNeverLarger(config, output, ext) {
+    const mode = config.neverLarger === true ? 'copy' : config.neverLarger;
+    
+    if (!mode || output.format !== SOURCE_FORMATS[ext] || output.animated ||
+        (mode === 'skip' && output.autoCandidate)) {
+      return {};
+    }
+    if (this.getTransforms(config).transforms || this.getWatermark(config, 'full').watermark) {
+      return {};
+    }
+    
+    return { neverLarger: mode };
+  }
+
+  /**
+   * Watermark settings for an output, as config properties to spread in
+   * @param {Object} config - Image config; a rule can disable the watermark with `watermark: false`
+   * @param {string} kind - Output kind: full (full-size outputs and posters), widths or thumbnails
+   * @returns {Object} { watermark } when the watermark applies to this kind of output, otherwise {}
+   */
+  getWatermark(config, kind) {
+    if (!config.watermark || !(config.watermark.outputs || DEFAULT_WATERMARK_OUTPUTS).includes(kind)) {
+      return {};
+    }
+    
+    return { watermark: config.watermark };
+  }
+
+  /**
+   * Encoder options for PNG outputs. Setting quality.png or any palette option
+   * in config.png switches to lossy palette quantization (like pngquant);
+   * otherwise PNGs are only recompressed losslessly.
+   */
+  getPngOptions(config) {
+    return {
+      compressionLevel: 9,
+      ...config.png,
+      ...(config.quality?.png !== undefined && { quality: config.quality.png }),
+      ...config.formatOptions?.png
+    };
+  }
+
+  /**
+   * Frame delays and loop count of an animated source, as sharp output options
+   * @param {Object} metadata - Source metadata ({ delay, loop })
+   * @returns {Object} { delay, loop }
+   */
+  getAnimationOptions(metadata) {
+    return {
+      ...(metadata.delay && { delay: metadata.delay }),
+      ...(metadata.loop !== undefined && { loop: metadata.loop })
+    };
+  }
+
+  /**
+   * Get the byte budget for an output format
+   * @param {number|Object} maxBytes - One budget for every format, or budgets keyed by format
+   * @param {string} format - Output format
+   * @returns {number|undefined} The budget, if the format has one and supports quality search
+   */
+  getMaxBytes(maxBytes, format) {
+    if (!maxBytes || !LOSSY_FORMATS.includes(format)) {
+      return undefined;
+    }
+    
+    return typeof maxBytes === 'number' ? maxBytes : maxBytes[format];
+  }
+
+  /**
+   * Get the ladder widths that apply to an image
+   * Widths larger than the source are skipped since they would only upscale
+   * @param {number[]} widths - Configured ladder widths
+   * @param {Object} metadata - Source image metadata (width, height)
+   * @returns {number[]} Unique widths, in ascending order
+   */
+  getLadderWidths(widths = [], metadata = {}) {
+    const unique = [...new Set(widths)].sort((a, b) => a - b);
+    
+    if (!metadata.width) {
+      return unique;
+    }
+    
+    return unique.filter(width => width <= metadata.width);
+  }
 }
 
-module.exports = ProcessingConfigGenerator;
\ No newline at end of file
+module.exports = ProcessingConfigGenerator;
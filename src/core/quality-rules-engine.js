@@ -1,3 +1,19 @@
+// Settings a rule can override for the images it matches
+const PROFILE_KEYS = [
+  'quality', 'formats', 'resize', 'generateThumbnails', 'thumbnailWidth', 'thumbnails',
+  'formatOptions', 'outputMaxBytes', 'targetSsim', 'outputMaxWidth', 'outputMaxHeight',
+  'maxMegapixels', 'allowEnlargement', 'fit', 'position', 'watermark', 'transforms'
+];
+
+// Rule keys that map to a differently named config setting. A rule's own
+// maxBytes, maxWidth and maxHeight are conditions on the source, so the
+// output limits use outputMaxBytes, outputMaxWidth and outputMaxHeight.
+const PROFILE_ALIASES = {
+  outputMaxBytes: 'maxBytes',
+  outputMaxWidth: 'maxWidth',
+  outputMaxHeight: 'maxHeight'
+};
+
 class QualityRulesEngine {
   constructor(rules = [], dependencies = {}) {
     // Inject dependencies with defaults
@@ -15,27 +31,67 @@ class QualityRulesEngine {
    * @returns {Object} Merged quality settings
    */
   getQualityForImage(imagePath, metadata, defaultQuality = {}) {
+    return {
+      ...defaultQuality,
+      ...this.getProfileForImage(imagePath, metadata).quality
+    };
+  }
+
+  /**
+   * Get the processing profile for a specific image based on matching rules
+   * @param {string} imagePath - Path to the image file
+   * @param {Object} metadata - Image metadata (width, height, etc.)
+   * @returns {Object} Merged overrides (quality, formats, resize, generateThumbnails,
+   *   thumbnailWidth, thumbnails, formatOptions, maxBytes, targetSsim, maxWidth, maxHeight, maxMegapixels,
+   *   allowEnlargement, fit, position, watermark); only settings a matching rule defines are present
+   */
+  getProfileForImage(imagePath, metadata) {
     const matchingRules = this.rules.filter(rule => 
       this.ruleMatches(rule, imagePath, metadata)
     );
     
-    // Start with default quality
-    let mergedQuality = { ...defaultQuality };
+    const profile = {};
     
     // Apply matching rules in order (least specific to most specific)
     // Since we sorted by specificity descending, we reverse to apply in ascending order
     const rulesToApply = [...matchingRules].reverse();
     
     for (const rule of rulesToApply) {
-      if (rule.quality) {
-        mergedQuality = {
-          ...mergedQuality,
-          ...rule.quality
-        };
+      this.applyProfile(profile, rule);
+    }
+    
+    return profile;
+  }
+
+  /**
+   * Merge the processing settings of a rule (or sidecar overrides) into a profile
+   * @param {Object} profile - Profile to update in place
+   * @param {Object} settings - Rule-style settings (outputMaxBytes, outputMaxWidth, ...)
+   * @returns {Object} The updated profile
+   */
+  applyProfile(profile, settings) {
+    for (const key of PROFILE_KEYS) {
+      if (settings[key] === undefined) {
+        continue;
+      }
+      
+      // Quality and encoder options merge per format; everything else is replaced
+      if (key === 'quality') {
+        profile.quality = { ...profile.quality, ...settings.quality };
+      } else if (key === 'formatOptions') {
+        profile.formatOptions = { ...profile.formatOptions };
+        for (const format in settings.formatOptions) {
+          profile.formatOptions[format] = {
+            ...profile.formatOptions[format],
+            ...settings.formatOptions[format]
+          };
+        }
+      } else {
+        profile[PROFILE_ALIASES[key] || key] = settings[key];
       }
     }
     
-    return mergedQuality;
+    return profile;
   }
 
   /**
@@ -53,8 +109,11 @@ class QualityRulesEngine {
     // Size matching
     const sizeMatch = this.checkSizeRule(rule, metadata);
     
+    // Format, alpha, file size and aspect ratio matching
+    const metadataMatch = this.checkMetadataRule(rule, metadata);
+    
     // All conditions must match
-    return patternMatch && directoryMatch && sizeMatch;
+    return patternMatch && directoryMatch && sizeMatch && metadataMatch;
   }
 
   /**
@@ -106,6 +165,66 @@ class QualityRulesEngine {
     return true;
   }
 
+  /**
+   * Check if image metadata matches format, alpha, byte size and aspect ratio rules
+   */
+  checkMetadataRule(rule, metadata) {
+    // If no metadata rules defined, it's a match
+    if (!this.hasMetadataCriteria(rule)) {
+      return true;
+    }
+    
+    // If metadata rules are defined but no metadata provided, it's not a match
+    if (!metadata) {
+      return false;
+    }
+    
+    if (rule.format !== undefined) {
+      const formats = [].concat(rule.format).map(format => this.normalizeFormat(format));
+      if (!formats.includes(this.normalizeFormat(metadata.format))) {
+        return false;
+      }
+    }
+    
+    if (rule.hasAlpha !== undefined && !!metadata.hasAlpha !== rule.hasAlpha) {
+      return false;
+    }
+    
+    const size = metadata.size || 0;
+    if (rule.minBytes && size < rule.minBytes) {
+      return false;
+    }
+    if (rule.maxBytes && size > rule.maxBytes) {
+      return false;
+    }
+    
+    if (rule.minAspectRatio || rule.maxAspectRatio) {
+      if (!metadata.width || !metadata.height) {
+        return false;
+      }
+      
+      const aspectRatio = metadata.width / metadata.height;
+      if (rule.minAspectRatio && aspectRatio < rule.minAspectRatio) {
+        return false;
+      }
+      if (rule.maxAspectRatio && aspectRatio > rule.maxAspectRatio) {
+        return false;
+      }
+    }
+    
+    return true;
+  }
+
+  hasMetadataCriteria(rule) {
+    return rule.format !== undefined || rule.hasAlpha !== undefined ||
+      !!(rule.minBytes || rule.maxBytes || rule.minAspectRatio || rule.maxAspectRatio);
+  }
+
+  normalizeFormat(format) {
+    const normalized = String(format || '').toLowerCase();
+    return normalized === 'jpg' ? 'jpeg' : normalized;
+  }
+
   /**
    * Sort rules by specificity (more specific rules first)
    */
@@ -140,17 +259,21 @@ class QualityRulesEngine {
       score += (rule.directory.split('/').filter(Boolean).length * 0.1);
     }
     
-    // Size rules are least specific
+    // Size and metadata rules are least specific
     if (rule.minWidth || rule.minHeight || 
         rule.maxWidth || rule.maxHeight) {
       score += 1;
     }
+    if (this.hasMetadataCriteria(rule)) {
+      score += 1;
+    }
     
     // Bonus points for combining multiple criteria
     const criteriaCount = [
       !!rule.pattern,
       !!rule.directory,
-      !!(rule.minWidth || rule.minHeight || rule.maxWidth || rule.maxHeight)
+      !!(rule.minWidth || rule.minHeight || rule.maxWidth || rule.maxHeight),
+      this.hasMetadataCriteria(rule)
     ].filter(Boolean).length;
     
     if (criteriaCount > 1) {
@@ -188,6 +311,17 @@ class QualityRulesEngine {
       if (rule.maxHeight) {
         parts.push(`maxHeight: ${rule.maxHeight}`);
       }
+      if (rule.format !== undefined) {
+        parts.push(`format: ${[].concat(rule.format).join('|')}`);
+      }
+      if (rule.hasAlpha !== undefined) {
+        parts.push(`hasAlpha: ${rule.hasAlpha}`);
+      }
+      for (const prop of ['minBytes', 'maxBytes', 'minAspectRatio', 'maxAspectRatio']) {
+        if (rule[prop]) {
+          parts.push(`${prop}: ${rule[prop]}`);
+        }
+      }
       
       return {
         criteria: parts.join(', '),
@@ -198,4 +332,5 @@ class QualityRulesEngine {
   }
 }
 
-module.exports = QualityRulesEngine;
\ No newline at end of file
+module.exports = QualityRulesEngine;
+module.exports.PROFILE_KEYS = PROFILE_KEYS;
\ No newline at end of file
@@ -99,13 +99,21 @@ async function optimizeImage(inputPath, outputPath, options = {}) {
 /**
  * Get image metadata without processing
  * @param {string} imagePath - Path to image file
+ * @param {Object} options - Metadata options
+ * @param {boolean|Object} options.colors - Also extract the dominant color and
+ *   palette as CSS hex colors; true for a 5-color palette, or { paletteSize }
  * @returns {Promise<Object>} Image metadata
  */
-async function getImageMetadata(imagePath) {
+async function getImageMetadata(imagePath, options = {}) {
   try {
     const metadata = await sharp(imagePath).metadata();
     const stats = await fs.stat(imagePath);
     
+    // Color extraction decodes the whole image, so it is opt-in
+    const colors = options.colors
+      ? await new ImageProcessor(sharp).extractColors(imagePath, options.colors === true ? {} : options.colors)
+      : null;
+    
     return {
       width: metadata.width,
       height: metadata.height,
@@ -113,7 +121,8 @@ async function getImageMetadata(imagePath) {
       size: stats.size,
       hasAlpha: metadata.hasAlpha,
       orientation: metadata.orientation,
-      density: metadata.density
+      density: metadata.density,
+      ...colors
     };
   } catch (error) {
     throw new Error(`Failed to read metadata: ${error.message}`);
@@ -69,6 +69,9 @@ class ErrorRecoveryManager {
     
     const stateToSave = {
       ...state,
+      checkpoint: state.processedCount !== undefined 
+        ? { processedCount: state.processedCount, totalCount: state.totalCount }
+        : undefined,
       progress: {
         total: state.total || 0,
         processed: this.processedFiles.size,
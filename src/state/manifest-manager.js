@@ -0,0 +1,116 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+class ManifestManager {
+  constructor(options = {}) {
+    this.outputDir = options.outputDir || 'optimized';
+    this.manifestFile = options.manifestFile || path.join(this.outputDir, 'image-manifest.json');
+    this.logger = options.logger || console;
+    this.images = {};
+  }
+
+  async load() {
+    try {
+      const manifestData = await fs.readFile(this.manifestFile, 'utf8');
+      const manifest = JSON.parse(manifestData);
+
+      // Validate manifest version
+      if (manifest.version !== '1.0') {
+        this.logger.log('⚠️  Manifest version mismatch, rebuilding manifest');
+        this.images = {};
+        return this.images;
+      }
+
+      this.images = manifest.images || {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.error('Failed to load manifest:', error.message);
+      }
+      this.images = {};
+    }
+
+    return this.images;
+  }
+
+  async save() {
+    const manifestData = {
+      version: '1.0',
+      generatedAt: new Date().toISOString(),
+      images: this.sortByKey(this.images)
+    };
+
+    try {
+      await fs.mkdir(path.dirname(this.manifestFile), { recursive: true });
+      await fs.writeFile(this.manifestFile, JSON.stringify(manifestData, null, 2));
+    } catch (error) {
+      this.logger.error('Failed to save manifest:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Record the outputs generated for a source image
+   * @param {string} source - Source path relative to the input directory
+   * @param {Object} description - { sourceSize, alt, placeholder, colors, outputs: [{ path, name, format, width, height, size, reduction }] }
+   * `name` is the stable output path when filenames carry a content hash; `alt` is the sidecar's alt text;
+   * `placeholder` holds the source's { lqip, blurhash } and `colors` its { dominantColor, palette }
+   */
+  setImage(source, description) {
+    this.images[this.toKey(source)] = {
+      sourceSize: description.sourceSize,
+      ...(description.alt !== undefined && { alt: description.alt }),
+      ...(description.placeholder && { placeholder: description.placeholder }),
+      ...(description.colors && { colors: description.colors }),
+      outputs: description.outputs.map(output => ({
+        ...output,
+        ...(output.name && { name: this.toOutputKey(output.name) }),
+        path: this.toOutputKey(output.path)
+      }))
+    };
+  }
+
+  getImage(source) {
+    return this.images[this.toKey(source)];
+  }
+
+  hasImage(source) {
+    return this.toKey(source) in this.images;
+  }
+
+  removeImage(source) {
+    delete this.images[this.toKey(source)];
+  }
+
+  /**
+   * Drop entries for sources that no longer exist
+   * @param {string[]} sources - Every source path found in the input directory
+   */
+  prune(sources) {
+    const keep = new Set(sources.map(source => this.toKey(source)));
+
+    for (const key of Object.keys(this.images)) {
+      if (!keep.has(key)) {
+        delete this.images[key];
+      }
+    }
+  }
+
+  // Manifest keys always use forward slashes so they are stable across platforms
+  toKey(filePath) {
+    return filePath.split(path.sep).join('/');
+  }
+
+  toOutputKey(outputPath) {
+    return this.toKey(path.relative(this.outputDir, outputPath));
+  }
+
+  sortByKey(images) {
+    const sorted = {};
+    for (const key of Object.keys(images).sort()) {
+      sorted[key] = images[key];
+    }
+    return sorted;
+  }
+}
+
+module.exports = ManifestManager;
@@ -13,6 +13,7 @@ class StatePersistenceManager {
       lastUpdatedAt: new Date().toISOString(),
       configuration: state.configuration || {},
       progress: state.progress || {},
+      checkpoint: state.checkpoint,
       files: state.files || { processed: [], pending: [] }
     };
 
@@ -0,0 +1,109 @@
+// Base 83 alphabet of the BlurHash format
+const BASE83 = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz#$%*+,-.:;=?@[]^_{|}~';
+
+/**
+ * BlurHash (https://blurha.sh) encoder for raw 8-bit RGB(A) pixels.
+ * The image is described by a few cosine components per axis: the average
+ * color (DC) plus componentsX * componentsY - 1 AC terms, packed into a short
+ * base 83 string that frontends decode into a blurred placeholder.
+ */
+class BlurhashEncoder {
+  /**
+   * @param {Buffer} pixels - Raw pixels, row by row
+   * @param {Object} info - { width, height, channels } of the pixels (3 or 4 channels)
+   * @param {number[]} components - [componentsX, componentsY], each between 1 and 9
+   * @returns {string} The BlurHash
+   */
+  encode(pixels, { width, height, channels }, [componentsX, componentsY] = [4, 3]) {
+    if (componentsX < 1 || componentsX > 9 || componentsY < 1 || componentsY > 9) {
+      throw new Error('BlurHash components must be between 1 and 9');
+    }
+
+    const factors = [];
+    for (let y = 0; y < componentsY; y++) {
+      for (let x = 0; x < componentsX; x++) {
+        factors.push(this.basisFactor(pixels, { width, height, channels }, x, y));
+      }
+    }
+
+    const [dc, ...ac] = factors;
+    let hash = this.encode83((componentsX - 1) + (componentsY - 1) * 9, 1);
+
+    let maximumValue = 1;
+    if (ac.length > 0) {
+      const actualMaximum = Math.max(...ac.flat().map(Math.abs));
+      const quantisedMaximum = Math.floor(Math.max(0, Math.min(82, Math.floor(actualMaximum * 166 - 0.5))));
+      maximumValue = (quantisedMaximum + 1) / 166;
+      hash += this.encode83(quantisedMaximum, 1);
+    } else {
+      hash += this.encode83(0, 1);
+    }
+
+    hash += this.encode83(this.encodeDc(dc), 4);
+    for (const factor of ac) {
+      hash += this.encode83(this.encodeAc(factor, maximumValue), 2);
+    }
+
+    return hash;
+  }
+
+  // Average linear RGB of the image weighted by the cosine basis function (x, y)
+  basisFactor(pixels, { width, height, channels }, componentX, componentY) {
+    const normalisation = componentX === 0 && componentY === 0 ? 1 : 2;
+    let r = 0;
+    let g = 0;
+    let b = 0;
+
+    for (let y = 0; y < height; y++) {
+      const basisY = Math.cos((Math.PI * componentY * y) / height);
+      for (let x = 0; x < width; x++) {
+        const basis = normalisation * Math.cos((Math.PI * componentX * x) / width) * basisY;
+        const offset = (y * width + x) * channels;
+        r += basis * this.toLinear(pixels[offset]);
+        g += basis * this.toLinear(pixels[offset + 1]);
+        b += basis * this.toLinear(pixels[offset + 2]);
+      }
+    }
+
+    const scale = 1 / (width * height);
+    return [r * scale, g * scale, b * scale];
+  }
+
+  encodeDc([r, g, b]) {
+    return (this.toSrgb(r) << 16) + (this.toSrgb(g) << 8) + this.toSrgb(b);
+  }
+
+  encodeAc(factor, maximumValue) {
+    const [r, g, b] = factor.map(value => Math.floor(Math.max(0, Math.min(18,
+      Math.floor(this.signPow(value / maximumValue, 0.5) * 9 + 9.5)
+    ))));
+    return r * 19 * 19 + g * 19 + b;
+  }
+
+  encode83(value, length) {
+    let result = '';
+    for (let i = 1; i <= length; i++) {
+      const digit = Math.floor(value / 83 ** (length - i)) % 83;
+      result += BASE83[digit];
+    }
+    return result;
+  }
+
+  toLinear(value) {
+    const v = value / 255;
+    return v <= 0.04045 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4;
+  }
+
+  toSrgb(value) {
+    const v = Math.max(0, Math.min(1, value));
+    return v <= 0.0031308
+      ? Math.trunc(v * 12.92 * 255 + 0.5)
+      : Math.trunc((1.055 * v ** (1 / 2.4) - 0.055) * 255 + 0.5);
+  }
+
+  signPow(value, exponent) {
+    return Math.sign(value) * Math.abs(value) ** exponent;
+  }
+}
+
+module.exports = BlurhashEncoder;
\ No newline at end of file
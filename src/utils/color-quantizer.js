@@ -0,0 +1,133 @@
+// Pixels with less alpha than this are left out of the palette
+const MIN_ALPHA = 128;
+
+// Colors are counted with 5 bits per channel, so near-identical pixels share a bucket
+const SHIFT = 3;
+
+/**
+ * Median cut color quantizer for raw 8-bit RGB(A) pixels.
+ * The color buckets are split into boxes along their widest channel, at
+ * the median pixel, until there are as many boxes as palette colors; each
+ * box contributes the average color of its pixels.
+ */
+class ColorQuantizer {
+  /**
+   * @param {Buffer} pixels - Raw pixels, row by row
+   * @param {Object} info - { width, height, channels } of the pixels (3 or 4 channels)
+   * @param {number} count - Maximum number of palette colors
+   * @returns {Object[]} Up to `count` colors ({ r, g, b, population }), most common first
+   */
+  quantize(pixels, { width, height, channels }, count = 5) {
+    const histogram = new Map();
+    for (let i = 0; i < width * height; i++) {
+      const offset = i * channels;
+      if (channels === 4 && pixels[offset + 3] < MIN_ALPHA) {
+        continue;
+      }
+      const rgb = [pixels[offset], pixels[offset + 1], pixels[offset + 2]];
+      const bucketRgb = rgb.map(value => value >> SHIFT);
+      const key = bucketRgb.join(',');
+
+      let bucket = histogram.get(key);
+      if (!bucket) {
+        bucket = { rgb: bucketRgb, sum: [0, 0, 0], population: 0 };
+        histogram.set(key, bucket);
+      }
+      bucket.sum[0] += rgb[0];
+      bucket.sum[1] += rgb[1];
+      bucket.sum[2] += rgb[2];
+      bucket.population++;
+    }
+
+    if (histogram.size === 0) {
+      return [];
+    }
+
+    const boxes = [[...histogram.values()]];
+    while (boxes.length < count) {
+      // Split the box with the most pixels times channel range, so large
+      // spreads of color are refined before the few pixels of an edge
+      let target = -1;
+      let targetScore = 0;
+      boxes.forEach((box, index) => {
+        const score = this.widestChannel(box).range * this.population(box);
+        if (score > targetScore) {
+          target = index;
+          targetScore = score;
+        }
+      });
+
+      // Every box holds a single bucket
+      if (target === -1) {
+        break;
+      }
+
+      boxes.splice(target, 1, ...this.split(boxes[target]));
+    }
+
+    return boxes
+      .map(box => ({ ...this.average(box), population: this.population(box) }))
+      .sort((a, b) => b.population - a.population);
+  }
+
+  // Split a box of buckets at its median pixel along the widest channel, keeping both halves non-empty
+  split(box) {
+    const { channel } = this.widestChannel(box);
+    box.sort((a, b) => a.rgb[channel] - b.rgb[channel]);
+
+    const half = this.population(box) / 2;
+    let index = 0;
+    let seen = 0;
+    while (index < box.length - 2 && seen + box[index].population < half) {
+      seen += box[index].population;
+      index++;
+    }
+
+    return [box.slice(0, index + 1), box.slice(index + 1)];
+  }
+
+  widestChannel(box) {
+    let channel = 0;
+    let range = 0;
+    for (let c = 0; c < 3; c++) {
+      let min = Infinity;
+      let max = 0;
+      for (const { rgb } of box) {
+        min = Math.min(min, rgb[c]);
+        max = Math.max(max, rgb[c]);
+      }
+      if (max - min > range) {
+        channel = c;
+        range = max - min;
+      }
+    }
+    return { channel, range };
+  }
+
+  population(box) {
+    return box.reduce((total, color) => total + color.population, 0);
+  }
+
+  average(box) {
+    const sum = [0, 0, 0];
+    for (const bucket of box) {
+      sum[0] += bucket.sum[0];
+      sum[1] += bucket.sum[1];
+      sum[2] += bucket.sum[2];
+    }
+    const total = this.population(box);
+    const [r, g, b] = sum.map(value => Math.round(value / total));
+    return { r, g, b };
+  }
+
+  /**
+   * Format a color as a CSS hex string, e.g. #3a7bd5
+   * @param {Object} color - { r, g, b } between 0 and 255
+   * @returns {string}
+   */
+  toHex({ r, g, b }) {
+    return `#${[r, g, b].map(value => value.toString(16).padStart(2, '0')).join('')}`;
+  }
+}
+
+module.exports = ColorQuantizer;
\ No newline at end of file
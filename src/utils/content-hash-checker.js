@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+
+/**
+ * Change detector that compares content hashes instead of modification times.
+ * Stores a SHA-256 of each source and of its effective processing config in a
+ * cache file, so results survive git checkouts and volume mounts that reset mtimes.
+ */
+class ContentHashChecker {
+  constructor(options = {}) {
+    this.fs = options.fs || require('fs').promises;
+    this.cacheFile = options.cacheFile || '.image-lite-hashes.json';
+    this.logger = options.logger || console;
+    this.entries = null;
+    this.loading = null;
+    this.sourceHashes = new Map();
+  }
+
+  /**
+   * @param {string[]} relatedPaths - Files whose edits count as source changes (sidecars)
+   */
+  async shouldProcess(inputPath, outputPaths, forceReprocess, signature = {}, relatedPaths = []) {
+    if (forceReprocess) {
+      return true;
+    }
+
+    const sourceHash = await this.hashSource(inputPath, relatedPaths);
+    if (!sourceHash) {
+      return false;
+    }
+    this.sourceHashes.set(inputPath, sourceHash);
+
+    const entries = await this.load();
+    const cached = entries[inputPath];
+    if (!cached || cached.source !== sourceHash || cached.config !== this.hashSignature(signature)) {
+      return true;
+    }
+
+    for (const outputPath of outputPaths) {
+      if (!(await this.exists(outputPath))) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  async recordProcessed(inputPath, signature = {}, relatedPaths = []) {
+    const sourceHash = this.sourceHashes.get(inputPath) || await this.hashSource(inputPath, relatedPaths);
+    this.sourceHashes.delete(inputPath);
+    if (!sourceHash) {
+      return;
+    }
+
+    const entries = await this.load();
+    entries[inputPath] = {
+      source: sourceHash,
+      config: this.hashSignature(signature)
+    };
+  }
+
+  load() {
+    if (!this.loading) {
+      this.loading = this.readCache().then(entries => {
+        this.entries = entries;
+        return entries;
+      });
+    }
+    return this.loading;
+  }
+
+  async save() {
+    if (!this.entries) {
+      return;
+    }
+
+    const cacheData = {
+      version: '1.0',
+      algorithm: 'sha256',
+      entries: this.entries
+    };
+
+    try {
+      await this.fs.writeFile(this.cacheFile, JSON.stringify(cacheData, null, 2));
+    } catch (error) {
+      this.logger.error('Failed to save hash cache:', error.message);
+      throw error;
+    }
+  }
+
+  async readCache() {
+    try {
+      const cacheData = JSON.parse(await this.fs.readFile(this.cacheFile, 'utf8'));
+      if (cacheData.version !== '1.0' || cacheData.algorithm !== 'sha256') {
+        this.logger.log('⚠️  Hash cache version mismatch, all images will be reprocessed');
+        return {};
+      }
+      return cacheData.entries || {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.error('Failed to load hash cache:', error.message);
+      }
+      return {};
+    }
+  }
+
+  async hashFile(filePath) {
+    try {
+      const content = await this.fs.readFile(filePath);
+      return crypto.createHash('sha256').update(content).digest('hex');
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Hash a source together with its related files. Without related files
+   * this is the hash of the source alone, so existing cache entries stay valid.
+   */
+  async hashSource(inputPath, relatedPaths = []) {
+    const sourceHash = await this.hashFile(inputPath);
+    if (!sourceHash || relatedPaths.length === 0) {
+      return sourceHash;
+    }
+
+    const hash = crypto.createHash('sha256').update(sourceHash);
+    for (const relatedPath of relatedPaths) {
+      hash.update(`${relatedPath}:${await this.hashFile(relatedPath)}`);
+    }
+    return hash.digest('hex');
+  }
+
+  hashSignature(signature) {
+    return crypto.createHash('sha256').update(JSON.stringify(signature)).digest('hex');
+  }
+
+  async exists(filePath) {
+    try {
+      await this.fs.stat(filePath);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+}
+
+module.exports = ContentHashChecker;
@@ -3,15 +3,25 @@ class FileTimestampChecker {
     this.fileStats = fileStats;
   }
 
-  async shouldProcess(inputPath, outputPaths, forceReprocess) {
+  /**
+   * @param {string[]} relatedPaths - Files whose edits count as source changes (sidecars, the watermark image)
+   */
+  async shouldProcess(inputPath, outputPaths, forceReprocess, _signature, relatedPaths = []) {
     if (forceReprocess) {
       return true;
     }
     
-    const inputModTime = await this.getModTime(inputPath);
+    let inputModTime = await this.getModTime(inputPath);
     if (!inputModTime) {
       return false;
     }
+    
+    for (const relatedPath of relatedPaths) {
+      const relatedModTime = await this.getModTime(relatedPath);
+      if (relatedModTime && relatedModTime > inputModTime) {
+        inputModTime = relatedModTime;
+      }
+    }
 
     for (const outputPath of outputPaths) {
       const outputModTime = await this.getModTime(outputPath);
@@ -0,0 +1,269 @@
+// EXIF tags kept per preserveMetadata group, keyed by the IFD names sharp's
+// withExif() expects (IFD0 = main image, IFD2 = Exif sub-IFD, IFD3 = GPS)
+const EXIF_TAGS = {
+  IFD0: {
+    0x010F: ['Make', 'camera'],
+    0x0110: ['Model', 'camera'],
+    0x0132: ['DateTime', 'datetime'],
+    0x013B: ['Artist', 'creator'],
+    0x8298: ['Copyright', 'copyright']
+  },
+  IFD2: {
+    0x829A: ['ExposureTime', 'camera'],
+    0x829D: ['FNumber', 'camera'],
+    0x8827: ['ISOSpeedRatings', 'camera'],
+    0x9003: ['DateTimeOriginal', 'datetime'],
+    0x9004: ['DateTimeDigitized', 'datetime'],
+    0x9010: ['OffsetTime', 'datetime'],
+    0x9011: ['OffsetTimeOriginal', 'datetime'],
+    0x9012: ['OffsetTimeDigitized', 'datetime'],
+    0x920A: ['FocalLength', 'camera'],
+    0xA430: ['CameraOwnerName', 'camera'],
+    0xA431: ['BodySerialNumber', 'camera'],
+    0xA433: ['LensMake', 'camera'],
+    0xA434: ['LensModel', 'camera'],
+    0xA435: ['LensSerialNumber', 'camera']
+  },
+  IFD3: {
+    0x0001: ['GPSLatitudeRef', 'gps'],
+    0x0002: ['GPSLatitude', 'gps'],
+    0x0003: ['GPSLongitudeRef', 'gps'],
+    0x0004: ['GPSLongitude', 'gps'],
+    0x0005: ['GPSAltitudeRef', 'gps'],
+    0x0006: ['GPSAltitude', 'gps'],
+    0x0007: ['GPSTimeStamp', 'gps'],
+    0x000C: ['GPSSpeedRef', 'gps'],
+    0x000D: ['GPSSpeed', 'gps'],
+    0x0010: ['GPSImgDirectionRef', 'gps'],
+    0x0011: ['GPSImgDirection', 'gps'],
+    0x0012: ['GPSMapDatum', 'gps'],
+    0x001D: ['GPSDateStamp', 'gps']
+  }
+};
+
+const EXIF_IFD_POINTER = 0x8769;
+const GPS_IFD_POINTER = 0x8825;
+
+// Byte size of each TIFF field type
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+// IPTC IIM datasets (record 2) carrying credits
+const IPTC_BYLINE = 80;
+const IPTC_COPYRIGHT = 116;
+
+/**
+ * Reduces source metadata to the groups selected by an object-form
+ * preserveMetadata setting. sharp can only write EXIF selectively, so
+ * copyright and creator found in XMP or IPTC are carried over into EXIF.
+ */
+class MetadataFilter {
+  /**
+   * Build the EXIF object to write for a metadata selection
+   * @param {Object} metadata - sharp metadata of the source ({ exif, xmp, iptc } buffers)
+   * @param {Object} selection - { copyright, creator, datetime, camera, gps }
+   * @returns {Object} EXIF keyed by IFD, suitable for sharp's withExif()
+   */
+  filter(metadata, selection) {
+    const source = metadata.exif ? this.readExif(metadata.exif) : {};
+    const credits = {
+      ...this.readIptcCredits(metadata.iptc),
+      ...this.readXmpCredits(metadata.xmp)
+    };
+    const exif = {};
+
+    for (const [ifd, tags] of Object.entries(EXIF_TAGS)) {
+      for (const [name, group] of Object.values(tags)) {
+        if (selection[group] && source[ifd]?.[name] !== undefined) {
+          exif[ifd] = { ...exif[ifd], [name]: source[ifd][name] };
+        }
+      }
+    }
+
+    if (selection.copyright && !exif.IFD0?.Copyright && credits.copyright) {
+      exif.IFD0 = { ...exif.IFD0, Copyright: credits.copyright };
+    }
+    if (selection.creator && !exif.IFD0?.Artist && credits.creator) {
+      exif.IFD0 = { ...exif.IFD0, Artist: credits.creator };
+    }
+
+    return exif;
+  }
+
+  /**
+   * Parse the known tags of an EXIF block into libvips string values
+   * @param {Buffer} buffer - Raw EXIF, optionally prefixed with "Exif\0\0"
+   * @returns {Object} Values keyed by IFD and tag name
+   */
+  readExif(buffer) {
+    const start = buffer.toString('latin1', 0, 6) === 'Exif\0\0' ? 6 : 0;
+    const tiff = buffer.subarray(start);
+    const result = {};
+
+    try {
+      const littleEndian = tiff.toString('latin1', 0, 2) === 'II';
+      const reader = {
+        tiff,
+        u16: offset => (littleEndian ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset)),
+        u32: offset => (littleEndian ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset)),
+        s32: offset => (littleEndian ? tiff.readInt32LE(offset) : tiff.readInt32BE(offset))
+      };
+
+      const ifd0 = this.readIfd(reader, reader.u32(4));
+      result.IFD0 = this.formatTags(reader, ifd0, EXIF_TAGS.IFD0);
+
+      if (ifd0[EXIF_IFD_POINTER]) {
+        const exifIfd = this.readIfd(reader, reader.u32(ifd0[EXIF_IFD_POINTER].valueOffset));
+        result.IFD2 = this.formatTags(reader, exifIfd, EXIF_TAGS.IFD2);
+      }
+      if (ifd0[GPS_IFD_POINTER]) {
+        const gpsIfd = this.readIfd(reader, reader.u32(ifd0[GPS_IFD_POINTER].valueOffset));
+        result.IFD3 = this.formatTags(reader, gpsIfd, EXIF_TAGS.IFD3);
+      }
+    } catch {
+      // Truncated or malformed EXIF - keep whatever was parsed
+    }
+
+    return result;
+  }
+
+  readIfd(reader, ifdOffset) {
+    const entries = {};
+    const count = reader.u16(ifdOffset);
+
+    for (let i = 0; i < count; i++) {
+      const entryOffset = ifdOffset + 2 + i * 12;
+      const type = reader.u16(entryOffset + 2);
+      const components = reader.u32(entryOffset + 4);
+      const size = (TYPE_SIZES[type] || 0) * components;
+
+      entries[reader.u16(entryOffset)] = {
+        type,
+        components,
+        valueOffset: size > 4 ? reader.u32(entryOffset + 8) : entryOffset + 8
+      };
+    }
+
+    return entries;
+  }
+
+  formatTags(reader, entries, tags) {
+    const values = {};
+
+    for (const [tag, [name]] of Object.entries(tags)) {
+      const entry = entries[tag];
+      const value = entry && this.formatValue(reader, entry);
+      if (value !== undefined && value !== '') {
+        values[name] = value;
+      }
+    }
+
+    return values;
+  }
+
+  // Format a tag value the way libvips parses EXIF strings
+  formatValue(reader, { type, components, valueOffset }) {
+    const values = [];
+
+    switch (type) {
+      case 2:
+        return reader.tiff.toString('utf8', valueOffset, valueOffset + components).replace(/\0+$/, '');
+      case 1:
+        for (let i = 0; i < components; i++) {
+          values.push(reader.tiff.readUInt8(valueOffset + i));
+        }
+        break;
+      case 3:
+        for (let i = 0; i < components; i++) {
+          values.push(reader.u16(valueOffset + i * 2));
+        }
+        break;
+      case 4:
+        for (let i = 0; i < components; i++) {
+          values.push(reader.u32(valueOffset + i * 4));
+        }
+        break;
+      case 5:
+        for (let i = 0; i < components; i++) {
+          values.push(`${reader.u32(valueOffset + i * 8)}/${reader.u32(valueOffset + i * 8 + 4)}`);
+        }
+        break;
+      case 10:
+        for (let i = 0; i < components; i++) {
+          values.push(`${reader.s32(valueOffset + i * 8)}/${reader.s32(valueOffset + i * 8 + 4)}`);
+        }
+        break;
+      default:
+        return undefined;
+    }
+
+    return values.join(' ');
+  }
+
+  /**
+   * Extract dc:rights and dc:creator from an XMP packet
+   */
+  readXmpCredits(buffer) {
+    if (!buffer) {
+      return {};
+    }
+
+    const xmp = buffer.toString('utf8');
+    const firstItem = property => {
+      const match = xmp.match(new RegExp(`<dc:${property}>[\\s\\S]*?<rdf:li[^>]*>([\\s\\S]*?)</rdf:li>`));
+      return match ? this.decodeXml(match[1].trim()) : undefined;
+    };
+
+    const credits = {};
+    const copyright = firstItem('rights');
+    const creator = firstItem('creator');
+    if (copyright) {
+      credits.copyright = copyright;
+    }
+    if (creator) {
+      credits.creator = creator;
+    }
+    return credits;
+  }
+
+  /**
+   * Extract copyright notice and by-line from IPTC IIM data
+   */
+  readIptcCredits(buffer) {
+    const credits = {};
+    if (!buffer) {
+      return credits;
+    }
+
+    for (let offset = 0; offset + 5 <= buffer.length; offset++) {
+      if (buffer[offset] !== 0x1C || buffer[offset + 1] !== 2) {
+        continue;
+      }
+
+      const dataset = buffer[offset + 2];
+      const length = buffer.readUInt16BE(offset + 3);
+      const value = buffer.toString('utf8', offset + 5, offset + 5 + length);
+
+      if (dataset === IPTC_COPYRIGHT && !credits.copyright) {
+        credits.copyright = value;
+      } else if (dataset === IPTC_BYLINE && !credits.creator) {
+        credits.creator = value;
+      }
+      offset += 4 + length;
+    }
+
+    return credits;
+  }
+
+  decodeXml(value) {
+    return value
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, '\'')
+      .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+      .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+      .replace(/&amp;/g, '&');
+  }
+}
+
+module.exports = MetadataFilter;
@@ -1,28 +1,128 @@
 const path = require('path');
 
+// Extensions of the optimized original by source extension; everything else becomes .jpg
+const ORIGINAL_EXTENSIONS = { '.png': '.png', '.gif': '.gif', '.svg': '.png', '.webp': '.png' };
+
+// File extensions of thumbnail preset formats
+const FORMAT_EXTENSIONS = { webp: '.webp', avif: '.avif', jpeg: '.jpg', png: '.png' };
+
 class OutputPathGenerator {
   constructor(outputDir) {
     this.outputDir = outputDir;
   }
 
   generatePaths(filename, relativePath = '') {
-    // Handle subdirectories in filename
-    const dir = path.dirname(filename);
+    return this._buildPaths(filename, relativePath, '');
+  }
+
+  /**
+   * Generate paths for each rung of a responsive width ladder
+   * @param {string} filename - Source filename, relative to the input directory
+   * @param {number[]} widths - Target widths in pixels
+   * @param {string} relativePath - Fallback relative path for the output subdirectory
+   * @returns {Object} Paths keyed by width, e.g. { 640: { webp: 'out/hero-640.webp', ... } }
+   */
+  generateWidthPaths(filename, widths = [], relativePath = '') {
+    const widthPaths = {};
+    
+    for (const width of widths) {
+      const { webp, avif, original } = this._buildPaths(filename, relativePath, `-${width}`);
+      widthPaths[width] = { webp, avif, original };
+    }
+    
+    return widthPaths;
+  }
+
+  /**
+   * Generate paths for named thumbnail presets, suffixed with the preset name
+   * @param {string} filename - Source filename, relative to the input directory
+   * @param {Object[]} presets - Thumbnail presets ({ name, format })
+   * @param {string} relativePath - Fallback relative path for the output subdirectory
+   * @returns {Object} Paths keyed by preset name, e.g. { card: 'out/hero-card.avif' }
+   */
+  generateThumbnailPaths(filename, presets = [], relativePath = '') {
+    const fullOutputDir = this._getOutputDir(filename, relativePath);
     const name = path.parse(filename).name;
-    const ext = path.parse(filename).ext.toLowerCase();
+    const thumbnailPaths = {};
+    
+    for (const preset of presets) {
+      const extension = FORMAT_EXTENSIONS[preset.format || 'webp'];
+      thumbnailPaths[preset.name] = path.join(fullOutputDir, `${name}-${preset.name}${extension}`);
+    }
     
+    return thumbnailPaths;
+  }
+
+  /**
+   * Generate the path of the placeholder JSON (LQIP and BlurHash) of a source
+   * @param {string} filename - Source filename, relative to the input directory
+   * @param {string} relativePath - Fallback relative path for the output subdirectory
+   * @returns {string} e.g. 'out/gallery/hero.placeholder.json'
+   */
+  generatePlaceholderPath(filename, relativePath = '') {
+    return this._buildDataPath(filename, relativePath, 'placeholder');
+  }
+
+  /**
+   * Generate the path of the colors JSON (dominant color and palette) of a source
+   * @param {string} filename - Source filename, relative to the input directory
+   * @param {string} relativePath - Fallback relative path for the output subdirectory
+   * @returns {string} e.g. 'out/gallery/hero.colors.json'
+   */
+  generateColorsPath(filename, relativePath = '') {
+    return this._buildDataPath(filename, relativePath, 'colors');
+  }
+
+  _getOutputDir(filename, relativePath) {
     // Use subdirectory from filename if present, otherwise use relativePath
+    const dir = path.dirname(filename);
     const outputSubDir = (dir && dir !== '.') ? dir : (relativePath ? path.dirname(relativePath) : '');
-    const fullOutputDir = path.join(this.outputDir, outputSubDir);
+    return path.join(this.outputDir, outputSubDir);
+  }
+
+  _buildDataPath(filename, relativePath, kind) {
+    const name = path.parse(filename).name;
+    return path.join(this._getOutputDir(filename, relativePath), `${name}.${kind}.json`);
+  }
+
+  _buildPaths(filename, relativePath, suffix) {
+    const name = path.parse(filename).name;
+    const ext = path.parse(filename).ext.toLowerCase();
+    const fullOutputDir = this._getOutputDir(filename, relativePath);
 
     return {
-      webp: path.join(fullOutputDir, `${name}.webp`),
-      avif: path.join(fullOutputDir, `${name}.avif`),
-      original: path.join(fullOutputDir, `${name}${ext === '.png' ? '.png' : '.jpg'}`),
-      thumbnail: path.join(fullOutputDir, `${name}-thumb.webp`)
+      webp: path.join(fullOutputDir, `${name}${suffix}.webp`),
+      avif: path.join(fullOutputDir, `${name}${suffix}.avif`),
+      original: path.join(fullOutputDir, `${name}${suffix}${ORIGINAL_EXTENSIONS[ext] || '.jpg'}`),
+      thumbnail: path.join(fullOutputDir, `${name}${suffix}-thumb.webp`),
+      // Static first-frame poster for animated sources
+      ...(ext === '.gif' && { poster: path.join(fullOutputDir, `${name}${suffix}-poster.webp`) })
     };
   }
 
+  /**
+   * Embed a content hash into an output path, e.g. hero.webp -> hero.3f9a1c2b.webp
+   * @param {string} outputPath - Stable output path
+   * @param {string} hash - Short content hash
+   * @returns {string} Hashed output path
+   */
+  generateHashedPath(outputPath, hash) {
+    const { dir, name, ext } = path.parse(outputPath);
+    return path.join(dir, `${name}.${hash}${ext}`);
+  }
+
+  /**
+   * Check whether a filename is a hashed variant of a stable output path
+   * @param {string} outputPath - Stable output path
+   * @param {string} filename - Filename in the same directory
+   * @returns {boolean} True if filename is `<name>.<hash><ext>`
+   */
+  isHashedVariant(outputPath, filename) {
+    const { name, ext } = path.parse(outputPath);
+    const escape = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`^${escape(name)}\\.[0-9a-f]{8}${escape(ext)}$`).test(filename);
+  }
+
   generateRelativePath(inputPath, baseDir) {
     return path.relative(baseDir, inputPath);
   }
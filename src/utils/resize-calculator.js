@@ -0,0 +1,143 @@
+// Bounding box for full-size outputs when maxWidth/maxHeight are not configured
+const DEFAULT_MAX_DIMENSION = 2000;
+
+/**
+ * Works out how full-size outputs are resized from the configured limits.
+ * maxWidth, maxHeight and maxMegapixels are either one number or an object
+ * per output format, e.g. { "webp": 2000, "jpeg": 4000 }.
+ */
+class ResizeCalculator {
+  /**
+   * @param {Object} config - Image config (resize, maxWidth, maxHeight, maxMegapixels,
+   *   allowEnlargement, fit, position)
+   * @param {string} format - Output format (webp, avif, jpeg, png)
+   * @param {Object} metadata - Source dimensions ({ width, height }), if known
+   * @returns {Object} Resize options: { width, height, withoutEnlargement, fit, position }
+   */
+  getResize(config, format, metadata = {}) {
+    // A rule's explicit resize box takes precedence over the maximum dimensions
+    const box = config.resize || {
+      width: this.getFormatValue(config.maxWidth, format) || DEFAULT_MAX_DIMENSION,
+      height: this.getFormatValue(config.maxHeight, format) || DEFAULT_MAX_DIMENSION
+    };
+
+    const resize = {
+      width: box.width,
+      height: box.height,
+      withoutEnlargement: !config.allowEnlargement,
+      fit: config.fit || 'inside',
+      ...(config.position && { position: config.position })
+    };
+
+    return this.applyMegapixelLimit(resize, this.getFormatValue(config.maxMegapixels, format), metadata);
+  }
+
+  getFormatValue(value, format) {
+    return typeof value === 'number' ? value : value?.[format];
+  }
+
+  /**
+   * Shrink the resize box so the output has at most maxMegapixels pixels
+   */
+  applyMegapixelLimit(resize, maxMegapixels, metadata) {
+    if (!maxMegapixels) {
+      return resize;
+    }
+
+    const [width, height] = this.getOutputSize(resize, metadata);
+    if (!width || !height) {
+      return resize;
+    }
+
+    const scale = Math.sqrt((maxMegapixels * 1000000) / (width * height));
+    if (scale >= 1) {
+      return resize;
+    }
+
+    return {
+      ...resize,
+      width: Math.max(1, Math.floor(width * scale)),
+      height: Math.max(1, Math.floor(height * scale))
+    };
+  }
+
+  /**
+   * Predict the output dimensions sharp produces for a resize box
+   * @returns {number[]} [width, height]; undefined entries when unknown
+   */
+  getOutputSize(resize, metadata = {}) {
+    const keepsAspectRatio = resize.fit === 'inside' || resize.fit === 'outside';
+    if (resize.width && resize.height && !keepsAspectRatio) {
+      return [resize.width, resize.height];
+    }
+
+    if (!metadata?.width || !metadata?.height) {
+      return [resize.width, resize.height];
+    }
+
+    const ratios = [resize.width / metadata.width, resize.height / metadata.height].filter(Number.isFinite);
+    let ratio = resize.fit === 'outside' ? Math.max(...ratios) : Math.min(...ratios);
+    if (resize.withoutEnlargement) {
+      ratio = Math.min(ratio, 1);
+    }
+
+    return [Math.round(metadata.width * ratio), Math.round(metadata.height * ratio)];
+  }
+
+  /**
+   * Source dimensions after a sidecar's rotation and crop box
+   * @param {Object} metadata - Auto-oriented source dimensions ({ width, height })
+   * @param {Object} transforms - Sidecar transforms ({ rotate, crop })
+   * @returns {Object} { width, height }
+   */
+  getTransformedSize(metadata, transforms = {}) {
+    if (transforms.crop) {
+      return { width: transforms.crop.width, height: transforms.crop.height };
+    }
+
+    const quarterTurn = transforms.rotate === 90 || transforms.rotate === 270;
+    return quarterTurn
+      ? { width: metadata.height, height: metadata.width }
+      : { width: metadata.width, height: metadata.height };
+  }
+
+  /**
+   * Work out a crop-to-fill around a focal point, which sharp's positions
+   * cannot express: scale the source to cover the box, then extract the box
+   * centred on the focal point as far as the edges allow
+   * @param {Object} resize - Resize box ({ width, height, withoutEnlargement })
+   * @param {Object} size - Source dimensions ({ width, height })
+   * @param {Object} focalPoint - { x, y } as fractions of the source width and height
+   * @returns {Object|null} { width, height, extract: { left, top, width, height } },
+   *   or null when the box or the source size is incomplete
+   */
+  getFocalCrop(resize, size, focalPoint) {
+    if (!resize.width || !resize.height || !size?.width || !size?.height) {
+      return null;
+    }
+
+    let scale = Math.max(resize.width / size.width, resize.height / size.height);
+    if (resize.withoutEnlargement) {
+      scale = Math.min(scale, 1);
+    }
+
+    const width = Math.max(1, Math.round(size.width * scale));
+    const height = Math.max(1, Math.round(size.height * scale));
+    const cropWidth = Math.min(resize.width, width);
+    const cropHeight = Math.min(resize.height, height);
+    const clamp = (value, max) => Math.min(Math.max(value, 0), max);
+
+    return {
+      width,
+      height,
+      extract: {
+        left: clamp(Math.round(focalPoint.x * width - cropWidth / 2), width - cropWidth),
+        top: clamp(Math.round(focalPoint.y * height - cropHeight / 2), height - cropHeight),
+        width: cropWidth,
+        height: cropHeight
+      }
+    };
+  }
+}
+
+module.exports = ResizeCalculator;
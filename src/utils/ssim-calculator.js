@@ -0,0 +1,72 @@
+// Stabilizing constants from Wang et al. for 8-bit pixel values
+const C1 = (0.01 * 255) ** 2;
+const C2 = (0.03 * 255) ** 2;
+
+const WINDOW_SIZE = 8;
+const WINDOW_STEP = 4;
+
+/**
+ * Structural similarity (SSIM) between two raw 8-bit images of the same size.
+ * Uses overlapping 8x8 windows on the first channel (pass greyscale buffers
+ * to compare luma) and returns the mean SSIM, where 1 means identical.
+ */
+class SsimCalculator {
+  /**
+   * @param {Buffer} reference - Raw pixels of the reference image
+   * @param {Buffer} candidate - Raw pixels of the image to score
+   * @param {Object} info - { width, height, channels } shared by both buffers
+   * @returns {number} Mean SSIM in the range [-1, 1]
+   */
+  calculate(reference, candidate, { width, height, channels = 1 }) {
+    if (reference.length !== candidate.length) {
+      throw new Error('SSIM requires images of the same size');
+    }
+
+    const windowWidth = Math.min(WINDOW_SIZE, width);
+    const windowHeight = Math.min(WINDOW_SIZE, height);
+    let total = 0;
+    let windows = 0;
+
+    for (let y = 0; y + windowHeight <= height; y += WINDOW_STEP) {
+      for (let x = 0; x + windowWidth <= width; x += WINDOW_STEP) {
+        total += this.windowSsim(reference, candidate, { x, y, windowWidth, windowHeight, width, channels });
+        windows++;
+      }
+    }
+
+    return windows > 0 ? total / windows : 1;
+  }
+
+  windowSsim(reference, candidate, { x, y, windowWidth, windowHeight, width, channels }) {
+    const count = windowWidth * windowHeight;
+    let sumA = 0;
+    let sumB = 0;
+    let sumAA = 0;
+    let sumBB = 0;
+    let sumAB = 0;
+
+    for (let row = y; row < y + windowHeight; row++) {
+      for (let col = x; col < x + windowWidth; col++) {
+        const offset = (row * width + col) * channels;
+        const a = reference[offset];
+        const b = candidate[offset];
+        sumA += a;
+        sumB += b;
+        sumAA += a * a;
+        sumBB += b * b;
+        sumAB += a * b;
+      }
+    }
+
+    const meanA = sumA / count;
+    const meanB = sumB / count;
+    const varianceA = sumAA / count - meanA * meanA;
+    const varianceB = sumBB / count - meanB * meanB;
+    const covariance = sumAB / count - meanA * meanB;
+
+    return ((2 * meanA * meanB + C1) * (2 * covariance + C2)) /
+      ((meanA * meanA + meanB * meanB + C1) * (varianceA + varianceB + C2));
+  }
+}
+
+module.exports = SsimCalculator;
@@ -130,7 +130,7 @@ describe('Configuration End-to-End', () => {
       
       const outputFiles = await fs.readdir(path.join(testDir, 'optimized'));
       expect(outputFiles).toContain('test-image.png');
-      expect(outputFiles).toHaveLength(1); // Only original
+      expect(outputFiles.sort()).toEqual(['image-manifest.json', 'test-image.png']); // Only original
     });
   });
   
@@ -194,6 +194,111 @@ describe('Configuration End-to-End', () => {
       // We're not testing which is smaller because AVIF and WebP have different characteristics
       expect(Math.abs(webpSize - avifSize)).toBeGreaterThan(100);
     });
+    
+    it('should quantize PNG originals to a palette when quality.png is set', async () => {
+      // A gradient with thousands of colors, which lossless PNG compresses poorly
+      const width = 200;
+      const height = 200;
+      const pixels = Buffer.alloc(width * height * 3);
+      for (let i = 0; i < width * height; i++) {
+        pixels[i * 3] = i % width;
+        pixels[i * 3 + 1] = Math.floor(i / width);
+        pixels[i * 3 + 2] = (i * 7) % 256;
+      }
+      await sharp(pixels, { raw: { width, height, channels: 3 } })
+        .png()
+        .toFile(path.join(testDir, 'original', 'test-image.png'));
+      
+      await fs.writeFile(
+        path.join(testDir, '.imagerc'),
+        JSON.stringify({ formats: ['original'], generateThumbnails: false, quality: { png: 60 }, png: { effort: 10 } })
+      );
+      
+      const { exitCode } = runOptimizer();
+      
+      expect(exitCode).toBe(0);
+      
+      const outputPath = path.join(testDir, 'optimized', 'test-image.png');
+      const metadata = await sharp(outputPath).metadata();
+      const originalSize = (await fs.stat(path.join(testDir, 'original', 'test-image.png'))).size;
+      const outputSize = (await fs.stat(outputPath)).size;
+      
+      expect(metadata.isPalette).toBe(true);
+      expect(outputSize).toBeLessThan(originalSize * 0.3);
+    });
+  });
+  
+  describe('Maximum dimensions', () => {
+    it('should apply maximum dimensions per format, per rule and with enlargement', async () => {
+      await fs.mkdir(path.join(testDir, 'original', 'print'), { recursive: true });
+      await fs.copyFile(
+        path.join(testDir, 'original', 'test-image.png'),
+        path.join(testDir, 'original', 'print', 'poster.png')
+      );
+      
+      await fs.writeFile(
+        path.join(testDir, '.imagerc'),
+        JSON.stringify({
+          formats: ['webp', 'original'],
+          generateThumbnails: false,
+          maxWidth: { webp: 120, png: 150 },
+          qualityRules: [
+            { directory: 'print/', outputMaxWidth: 400, outputMaxHeight: 400, allowEnlargement: true }
+          ]
+        })
+      );
+      
+      const { exitCode } = runOptimizer();
+      
+      expect(exitCode).toBe(0);
+      
+      const webp = await sharp(path.join(testDir, 'optimized', 'test-image.webp')).metadata();
+      const png = await sharp(path.join(testDir, 'optimized', 'test-image.png')).metadata();
+      const poster = await sharp(path.join(testDir, 'optimized', 'print', 'poster.webp')).metadata();
+      
+      expect(webp.width).toBe(120);
+      expect(png.width).toBe(150);
+      expect(poster.width).toBe(400);
+    });
+  });
+  
+  describe('Encoder options', () => {
+    it('should pass formatOptions to the encoders', async () => {
+      await sharp({
+        create: { width: 200, height: 200, channels: 3, background: { r: 100, g: 150, b: 200 } }
+      })
+        .jpeg()
+        .toFile(path.join(testDir, 'original', 'photo.jpg'));
+      await fs.rm(path.join(testDir, 'original', 'test-image.png'));
+      
+      await fs.writeFile(
+        path.join(testDir, '.imagerc'),
+        JSON.stringify({
+          formats: ['original'],
+          generateThumbnails: false,
+          formatOptions: { jpeg: { progressive: true, chromaSubsampling: '4:4:4' } }
+        })
+      );
+      
+      const { exitCode } = runOptimizer();
+      
+      expect(exitCode).toBe(0);
+      
+      const metadata = await sharp(path.join(testDir, 'optimized', 'photo.jpg')).metadata();
+      expect(metadata.isProgressive).toBe(true);
+      expect(metadata.chromaSubsampling).toBe('4:4:4');
+    });
+    
+    it('should reject invalid encoder options', async () => {
+      await fs.writeFile(
+        path.join(testDir, '.imagerc'),
+        JSON.stringify({ formatOptions: { webp: { effort: 10 } } })
+      );
+      
+      const { exitCode } = runOptimizer();
+      
+      expect(exitCode).not.toBe(0);
+    });
   });
   
   describe('Custom output directory', () => {
@@ -300,5 +405,555 @@ describe('Configuration End-to-End', () => {
       
       expect(metadata.width).toBe(100);
     });
+    
+    it('should write named thumbnail presets with smart cropping', async () => {
+      // Flat grey with a red disc near the right edge, which a centered crop misses
+      const svg = '<svg xmlns="http://www.w3.org/2000/svg" width="400" height="200">' +
+        '<rect width="400" height="200" fill="#808080"/><circle cx="340" cy="100" r="50" fill="#ff2020"/></svg>';
+      await sharp(Buffer.from(svg)).png().toFile(path.join(testDir, 'original', 'test-image.png'));
+      
+      await fs.writeFile(
+        path.join(testDir, '.imagerc'),
+        JSON.stringify({
+          formats: ['webp'],
+          thumbnails: [
+            { name: 'card', width: 160, height: 120, format: 'avif', crop: 'attention' },
+            { name: 'square', width: 100, height: 100, crop: 'attention' },
+            { name: 'centered', width: 100, height: 100, format: 'jpeg' }
+          ]
+        })
+      );
+      
+      const { exitCode } = runOptimizer();
+      
+      expect(exitCode).toBe(0);
+      
+      const outputFiles = await fs.readdir(path.join(testDir, 'optimized'));
+      expect(outputFiles.sort()).toEqual([
+        'image-manifest.json',
+        'test-image-card.avif',
+        'test-image-centered.jpg',
+        'test-image-square.webp',
+        'test-image.webp'
+      ]);
+      
+      const card = await sharp(path.join(testDir, 'optimized', 'test-image-card.avif')).metadata();
+      expect([card.width, card.height]).toEqual([160, 120]);
+      
+      const redness = async file => (await sharp(path.join(testDir, 'optimized', file)).stats()).channels[0].mean;
+      expect(await redness('test-image-square.webp')).toBeGreaterThan(await redness('test-image-centered.jpg') + 10);
+    });
+  });
+  
+  describe('Responsive widths', () => {
+    it('should generate a width ladder and skip widths larger than the source', async () => {
+      await fs.writeFile(
+        path.join(testDir, '.imagerc'),
+        JSON.stringify({
+          formats: ['webp', 'original'],
+          generateThumbnails: false,
+          widths: [50, 100, 400]
+        })
+      );
+      
+      const { exitCode } = runOptimizer();
+      expect(exitCode).toBe(0);
+      
+      const files = await fs.readdir(path.join(testDir, 'optimized'));
+      expect(files).toEqual(expect.arrayContaining([
+        'test-image.webp',
+        'test-image.png',
+        'test-image-50.webp',
+        'test-image-50.png',
+        'test-image-100.webp',
+        'test-image-100.png'
+      ]));
+      expect(files).not.toContain('test-image-400.webp');
+      
+      const metadata = await sharp(path.join(testDir, 'optimized', 'test-image-50.webp')).metadata();
+      expect(metadata.width).toBe(50);
+      
+      // A second run sees every ladder output and skips the image
+      const { output } = runOptimizer();
+      expect(output).toMatch(/Skipped: 1 images/);
+    });
+  });
+  
+  describe('Build manifest', () => {
+    it('should write the manifest by default unless it is turned off', async () => {
+      const manifestPath = path.join(testDir, 'optimized', 'image-manifest.json');
+
+      expect(runOptimizer().exitCode).toBe(0);
+      const manifest = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+      expect(Object.keys(manifest.images)).toEqual(['test-image.png']);
+
+      await fs.rm(manifestPath);
+      await fs.writeFile(path.join(testDir, '.imagerc'), JSON.stringify({ manifest: false }));
+      expect(runOptimizer('--force').exitCode).toBe(0);
+      await expect(fs.stat(manifestPath)).rejects.toThrow();
+    });
+
+    it('should describe every output and keep entries for skipped images', async () => {
+      await fs.writeFile(
+        path.join(testDir, '.imagerc'),
+        JSON.stringify({
+          formats: ['webp', 'original'],
+          generateThumbnails: false,
+          manifest: true
+        })
+      );
+      
+      expect(runOptimizer().exitCode).toBe(0);
+      
+      const manifestPath = path.join(testDir, 'optimized', 'image-manifest.json');
+      const first = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+      const entry = first.images['test-image.png'];
+      const sourceSize = (await fs.stat(path.join(testDir, 'original', 'test-image.png'))).size;
+      const webpSize = (await fs.stat(path.join(testDir, 'optimized', 'test-image.webp'))).size;
+      
+      expect(entry.sourceSize).toBe(sourceSize);
+      expect(entry.outputs).toEqual(expect.arrayContaining([
+        expect.objectContaining({ path: 'test-image.webp', format: 'webp', width: 200, height: 200, size: webpSize }),
+        expect.objectContaining({ path: 'test-image.png', format: 'png', width: 200, height: 200 })
+      ]));
+      expect(entry.outputs[0].reduction).toBeCloseTo(1 - entry.outputs[0].size / sourceSize, 3);
+      
+      // Second run skips the image but the manifest stays complete
+      const { output } = runOptimizer();
+      expect(output).toMatch(/Skipped: 1 images/);
+      const second = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+      expect(second.images).toEqual(first.images);
+      
+      // Removed sources are dropped from the manifest
+      await fs.unlink(path.join(testDir, 'original', 'test-image.png'));
+      await sharp({
+        create: { width: 20, height: 10, channels: 3, background: { r: 0, g: 0, b: 0 } }
+      }).png().toFile(path.join(testDir, 'original', 'other.png'));
+      runOptimizer();
+      const third = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+      expect(Object.keys(third.images)).toEqual(['other.png']);
+    });
+  });
+  
+  describe('Hash-based change detection', () => {
+    it('should skip unchanged content regardless of mtimes and reprocess on config changes', async () => {
+      const writeConfig = quality => fs.writeFile(
+        path.join(testDir, '.imagerc'),
+        JSON.stringify({
+          formats: ['webp'],
+          generateThumbnails: false,
+          changeDetection: 'hash',
+          quality: { webp: quality }
+        })
+      );
+      
+      await writeConfig(80);
+      expect(runOptimizer().exitCode).toBe(0);
+      
+      // Make the source look newer than its outputs, as after a fresh clone
+      const future = new Date(Date.now() + 60000);
+      await fs.utimes(path.join(testDir, 'original', 'test-image.png'), future, future);
+      expect(runOptimizer().output).toMatch(/Skipped: 1 images/);
+      
+      await writeConfig(50);
+      expect(runOptimizer().output).toMatch(/Processed: 1 images/);
+    });
+  });
+  
+  describe('Hashed output filenames', () => {
+    it('should hash output names, record them in the manifest and remove stale variants', async () => {
+      await fs.writeFile(
+        path.join(testDir, '.imagerc'),
+        JSON.stringify({
+          formats: ['webp'],
+          generateThumbnails: false,
+          filenameHash: true
+        })
+      );
+      
+      expect(runOptimizer().exitCode).toBe(0);
+      
+      const outputDir = path.join(testDir, 'optimized');
+      const firstFiles = (await fs.readdir(outputDir)).filter(f => f.endsWith('.webp'));
+      expect(firstFiles).toHaveLength(1);
+      expect(firstFiles[0]).toMatch(/^test-image\.[0-9a-f]{8}\.webp$/);
+      
+      const manifest = JSON.parse(await fs.readFile(path.join(outputDir, 'image-manifest.json'), 'utf8'));
+      expect(manifest.images['test-image.png'].outputs[0]).toMatchObject({
+        name: 'test-image.webp',
+        path: firstFiles[0]
+      });
+      
+      // Unchanged images are skipped using the hashed output
+      expect(runOptimizer().output).toMatch(/Skipped: 1 images/);
+      
+      // New content produces a new hash and removes the previous variant
+      await sharp({
+        create: { width: 200, height: 200, channels: 3, background: { r: 10, g: 20, b: 30 } }
+      }).png().toFile(path.join(testDir, 'original', 'test-image.png'));
+      expect(runOptimizer('--force').exitCode).toBe(0);
+      
+      const secondFiles = (await fs.readdir(outputDir)).filter(f => f.endsWith('.webp'));
+      expect(secondFiles).toHaveLength(1);
+      expect(secondFiles[0]).not.toBe(firstFiles[0]);
+    });
+
+    it('should hash existing outputs when enabled and restore stable names when disabled', async () => {
+      const writeConfig = filenameHash => fs.writeFile(
+        path.join(testDir, '.imagerc'),
+        JSON.stringify({
+          formats: ['webp'],
+          generateThumbnails: false,
+          changeDetection: 'hash',
+          filenameHash
+        })
+      );
+      const outputDir = path.join(testDir, 'optimized');
+      const webpFiles = async () => (await fs.readdir(outputDir)).filter(f => f.endsWith('.webp'));
+
+      await writeConfig(false);
+      expect(runOptimizer().exitCode).toBe(0);
+      expect(await webpFiles()).toEqual(['test-image.webp']);
+
+      await writeConfig(true);
+      expect(runOptimizer().output).toMatch(/Processed: 1 images/);
+      const hashedFiles = await webpFiles();
+      expect(hashedFiles).toHaveLength(1);
+      expect(hashedFiles[0]).toMatch(/^test-image\.[0-9a-f]{8}\.webp$/);
+      const manifest = JSON.parse(await fs.readFile(path.join(outputDir, 'image-manifest.json'), 'utf8'));
+      expect(manifest.images['test-image.png'].outputs[0].path).toBe(hashedFiles[0]);
+
+      await writeConfig(false);
+      expect(runOptimizer().output).toMatch(/Processed: 1 images/);
+      expect(await webpFiles()).toEqual(['test-image.webp']);
+    });
+  });
+  
+  describe('Auto format', () => {
+    it('should keep only the smallest format and record the winner', async () => {
+      await fs.writeFile(
+        path.join(testDir, '.imagerc'),
+        JSON.stringify({
+          formats: ['auto'],
+          generateThumbnails: false,
+          manifest: true
+        })
+      );
+      
+      const { output, exitCode } = runOptimizer();
+      expect(exitCode).toBe(0);
+      
+      const outputDir = path.join(testDir, 'optimized');
+      const manifest = JSON.parse(await fs.readFile(path.join(outputDir, 'image-manifest.json'), 'utf8'));
+      const outputs = manifest.images['test-image.png'].outputs;
+      expect(outputs).toHaveLength(1);
+      
+      const { winner, candidates } = outputs[0].autoFormat;
+      expect(Object.keys(candidates).sort()).toEqual(['avif', 'original', 'webp']);
+      expect(candidates[winner]).toBe(Math.min(...Object.values(candidates)));
+      expect(outputs[0].size).toBe(candidates[winner]);
+      expect(output).toContain(`auto format picked ${winner}`);
+      
+      const images = (await fs.readdir(outputDir)).filter(f => f.startsWith('test-image'));
+      expect(images).toEqual([outputs[0].path]);
+      
+      // The winner alone counts as up to date
+      expect(runOptimizer().output).toMatch(/Skipped: 1 images/);
+    });
+  });
+  
+  describe('Watermarks', () => {
+    it('should watermark full-size outputs but not thumbnails or images a rule excludes', async () => {
+      await fs.mkdir(path.join(testDir, 'brand'));
+      await sharp({
+        create: { width: 60, height: 60, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 1 } }
+      }).png().toFile(path.join(testDir, 'brand', 'logo.png'));
+      await fs.copyFile(path.join(testDir, 'original', 'test-image.png'), path.join(testDir, 'original', 'plain.png'));
+      await fs.writeFile(
+        path.join(testDir, '.imagerc'),
+        JSON.stringify({
+          formats: ['webp'],
+          watermark: { image: 'brand/logo.png', gravity: 'northwest', scale: 0.25 },
+          qualityRules: [{ pattern: 'plain.png', watermark: false }]
+        })
+      );
+      
+      expect(runOptimizer().exitCode).toBe(0);
+      
+      const outputDir = path.join(testDir, 'optimized');
+      const corner = async file => {
+        const { data } = await sharp(path.join(outputDir, file)).extract({ left: 5, top: 5, width: 1, height: 1 })
+          .raw().toBuffer({ resolveWithObject: true });
+        return data[0];
+      };
+      expect(await corner('test-image.webp')).toBeLessThan(20);
+      expect(await corner('test-image-thumb.webp')).toBeGreaterThan(80);
+      expect(await corner('plain.webp')).toBeGreaterThan(80);
+    });
+    
+    it.each(['mtime', 'hash'])('should reprocess watermarked images when the watermark image changes (%s)', async changeDetection => {
+      const logoPath = path.join(testDir, 'brand', 'logo.png');
+      const writeLogo = background => sharp({ create: { width: 60, height: 60, channels: 4, background } }).png().toFile(logoPath);
+      await fs.mkdir(path.join(testDir, 'brand'));
+      await writeLogo({ r: 0, g: 0, b: 0, alpha: 1 });
+      await fs.writeFile(
+        path.join(testDir, '.imagerc'),
+        JSON.stringify({
+          formats: ['webp'],
+          generateThumbnails: false,
+          changeDetection,
+          watermark: { image: 'brand/logo.png', gravity: 'northwest', scale: 0.25 }
+        })
+      );
+      
+      expect(runOptimizer().output).toMatch(/Processed: 1 images/);
+      expect(runOptimizer().output).toMatch(/Skipped: 1 images/);
+      
+      // Same name, new content
+      await writeLogo({ r: 255, g: 255, b: 255, alpha: 1 });
+      const later = new Date(Date.now() + 5000);
+      await fs.utimes(logoPath, later, later);
+      
+      expect(runOptimizer().output).toMatch(/Processed: 1 images/);
+      const { data } = await sharp(await fs.readFile(path.join(testDir, 'optimized', 'test-image.webp')))
+        .extract({ left: 5, top: 5, width: 1, height: 1 }).raw().toBuffer({ resolveWithObject: true });
+      expect(data[0]).toBeGreaterThan(200);
+    });
+  });
+  
+  describe('Sidecars', () => {
+    it('should rotate, crop and describe images from their sidecar and reprocess on sidecar edits', async () => {
+      await sharp({
+        create: { width: 400, height: 200, channels: 3, background: { r: 200, g: 50, b: 50 } }
+      }).png().toFile(path.join(testDir, 'original', 'wide.png'));
+      await fs.writeFile(
+        path.join(testDir, '.imagerc'),
+        JSON.stringify({ formats: ['webp'], generateThumbnails: false, manifest: true })
+      );
+      await fs.writeFile(
+        path.join(testDir, 'original', 'images.meta.json'),
+        JSON.stringify({ 'wide.png': { alt: 'A wide red image', rotate: 90 } })
+      );
+      const sidecarPath = path.join(testDir, 'original', 'wide.png.json');
+      await fs.writeFile(sidecarPath, JSON.stringify({ crop: { left: 0, top: 100, width: 200, height: 150 } }));
+      
+      expect(runOptimizer().exitCode).toBe(0);
+      
+      const outputDir = path.join(testDir, 'optimized');
+      const metadata = await sharp(path.join(outputDir, 'wide.webp')).metadata();
+      expect([metadata.width, metadata.height]).toEqual([200, 150]);
+      
+      const manifest = JSON.parse(await fs.readFile(path.join(outputDir, 'image-manifest.json'), 'utf8'));
+      expect(manifest.images['wide.png'].alt).toBe('A wide red image');
+      expect(manifest.images['test-image.png']).not.toHaveProperty('alt');
+      
+      expect(runOptimizer().output).toMatch(/Skipped: 2 images/);
+      
+      // Editing the sidecar counts as a change to the source
+      await fs.writeFile(sidecarPath, JSON.stringify({ crop: { left: 0, top: 0, width: 100, height: 100 } }));
+      const later = new Date(Date.now() + 5000);
+      await fs.utimes(sidecarPath, later, later);
+      
+      const { output } = runOptimizer();
+      expect(output).toMatch(/Processed: 1 images/);
+      // Read through a buffer, since sharp caches decoded files by path
+      const recropped = await sharp(await fs.readFile(path.join(outputDir, 'wide.webp'))).metadata();
+      expect([recropped.width, recropped.height]).toEqual([100, 100]);
+    });
+    
+    it('should log invalid sidecars to the error log and leave the image unprocessed', async () => {
+      await fs.writeFile(
+        path.join(testDir, 'original', 'test-image.png.json'),
+        JSON.stringify({ focalPoint: { x: 2, y: 0.5 } })
+      );
+      
+      runOptimizer();
+      
+      const errorLog = await fs.readFile(path.join(testDir, 'image-lite-errors.log'), 'utf8');
+      const entries = errorLog.trim().split('\n').map(line => JSON.parse(line));
+      expect(entries.filter(entry => entry.file === 'test-image.png')).toHaveLength(1);
+      expect(entries[0]).toMatchObject({
+        file: 'test-image.png',
+        error: { message: 'test-image.png.json: focalPoint.x must be between 0 and 1' },
+        context: { type: 'sidecar_error' }
+      });
+      await expect(fs.access(path.join(testDir, 'optimized', 'test-image.webp'))).rejects.toThrow();
+    });
+  });
+  
+  describe('Placeholders', () => {
+    it('should write LQIP and BlurHash placeholders next to the outputs and into the manifest', async () => {
+      await fs.writeFile(
+        path.join(testDir, '.imagerc'),
+        JSON.stringify({ formats: ['webp'], generateThumbnails: false, manifest: true, placeholders: { size: 12 } })
+      );
+      
+      expect(runOptimizer().exitCode).toBe(0);
+      
+      const outputDir = path.join(testDir, 'optimized');
+      const placeholder = JSON.parse(await fs.readFile(path.join(outputDir, 'test-image.placeholder.json'), 'utf8'));
+      expect(placeholder.lqip).toMatch(/^data:image\/webp;base64,/);
+      expect(placeholder.blurhash).toHaveLength(28);
+      
+      const lqip = await sharp(Buffer.from(placeholder.lqip.split(',')[1], 'base64')).metadata();
+      expect(Math.max(lqip.width, lqip.height)).toBe(12);
+      
+      const manifest = JSON.parse(await fs.readFile(path.join(outputDir, 'image-manifest.json'), 'utf8'));
+      expect(manifest.images['test-image.png'].placeholder).toEqual(placeholder);
+      
+      // A missing placeholder gets the image reprocessed
+      await fs.unlink(path.join(outputDir, 'test-image.placeholder.json'));
+      expect(runOptimizer().output).toMatch(/Processed: 1 images/);
+      await fs.access(path.join(outputDir, 'test-image.placeholder.json'));
+    });
+  });
+  
+  describe('Colors', () => {
+    it('should write the dominant color and palette next to the outputs and into the manifest', async () => {
+      await sharp({
+        create: { width: 60, height: 30, channels: 3, background: { r: 30, g: 90, b: 200 } }
+      }).png().toFile(path.join(testDir, 'original', 'card.png'));
+      await fs.writeFile(
+        path.join(testDir, '.imagerc'),
+        JSON.stringify({ formats: ['webp'], generateThumbnails: false, manifest: true, colors: { paletteSize: 3 } })
+      );
+      
+      expect(runOptimizer().exitCode).toBe(0);
+      
+      const outputDir = path.join(testDir, 'optimized');
+      const colors = JSON.parse(await fs.readFile(path.join(outputDir, 'card.colors.json'), 'utf8'));
+      expect(colors).toEqual({ dominantColor: expect.stringMatching(/^#[0-9a-f]{6}$/), palette: ['#1e5ac8'] });
+      
+      const testImageColors = JSON.parse(await fs.readFile(path.join(outputDir, 'test-image.colors.json'), 'utf8'));
+      expect(testImageColors.palette.length).toBeLessThanOrEqual(3);
+      
+      const manifest = JSON.parse(await fs.readFile(path.join(outputDir, 'image-manifest.json'), 'utf8'));
+      expect(manifest.images['card.png'].colors).toEqual(colors);
+    });
+  });
+  
+  describe('Adjustment steps', () => {
+    it('should run the configured steps on outputs unless a rule replaces them', async () => {
+      await sharp({
+        create: { width: 100, height: 100, channels: 4, background: { r: 255, g: 0, b: 0, alpha: 0.5 } }
+      }).png().toFile(path.join(testDir, 'original', 'logo.png'));
+      await fs.copyFile(path.join(testDir, 'original', 'logo.png'), path.join(testDir, 'original', 'color.png'));
+      await fs.writeFile(
+        path.join(testDir, '.imagerc'),
+        JSON.stringify({
+          formats: ['webp'],
+          generateThumbnails: false,
+          transforms: [{ type: 'flatten', background: '#ffffff' }, 'grayscale'],
+          qualityRules: [{ pattern: 'color.png', transforms: [{ type: 'flatten', background: '#000000' }] }]
+        })
+      );
+      
+      expect(runOptimizer().exitCode).toBe(0);
+      
+      const pixel = async file => {
+        const { data, info } = await sharp(await fs.readFile(path.join(testDir, 'optimized', file)))
+          .raw().toBuffer({ resolveWithObject: true });
+        return { rgb: [...data.subarray(0, 3)], channels: info.channels };
+      };
+      
+      // Half-transparent red flattened onto white, then made gray
+      const gray = await pixel('logo.webp');
+      expect(gray.channels).toBe(3);
+      expect(Math.abs(gray.rgb[0] - gray.rgb[1])).toBeLessThan(3);
+      expect(gray.rgb[0]).toBeGreaterThan(100);
+      
+      // Flattened onto black and still red
+      const color = await pixel('color.webp');
+      expect(color.channels).toBe(3);
+      expect(color.rgb[0]).toBeGreaterThan(100);
+      expect(color.rgb[1]).toBeLessThan(10);
+    });
+  });
+  
+  describe('Never larger', () => {
+    const writeConfig = (neverLarger, settings = {}) => fs.writeFile(
+      path.join(testDir, '.imagerc'),
+      JSON.stringify({
+        formats: ['webp', 'original'],
+        quality: { webp: 80, jpeg: 100 },
+        generateThumbnails: false,
+        manifest: true,
+        neverLarger,
+        ...settings
+      })
+    );
+    
+    beforeEach(async () => {
+      // Already heavily compressed, so re-encoding at quality 100 grows it
+      await sharp({ create: { width: 200, height: 150, channels: 3, background: '#3366cc' } })
+        .composite([{ input: { create: { width: 60, height: 60, channels: 3, background: '#ffcc00' } }, left: 40, top: 40 }])
+        .jpeg({ quality: 10 })
+        .withIccProfile('p3')
+        .withExif({ IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '51/1 30/1 1234/100' } })
+        .toFile(path.join(testDir, 'original', 'photo.jpg'));
+    });
+    
+    it('should copy the source bytes and record it in the manifest and summary', async () => {
+      await writeConfig('copy', { preserveMetadata: true, colorSpace: 'preserve' });
+      
+      const { output, exitCode } = runOptimizer();
+      
+      expect(exitCode).toBe(0);
+      expect(output).toContain('photo.jpg: kept the source bytes');
+      expect(output).toContain('Kept source bytes: 1 outputs');
+      expect(await fs.readFile(path.join(testDir, 'optimized', 'photo.jpg')))
+        .toEqual(await fs.readFile(path.join(testDir, 'original', 'photo.jpg')));
+      
+      const manifest = JSON.parse(await fs.readFile(path.join(testDir, 'optimized', 'image-manifest.json'), 'utf8'));
+      const outputs = manifest.images['photo.jpg'].outputs;
+      expect(outputs.find(o => o.format === 'jpeg')).toMatchObject({ neverLarger: 'copied', reduction: 0 });
+      expect(outputs.find(o => o.format === 'webp')).not.toHaveProperty('neverLarger');
+    });
+    
+    it('should keep the source metadata and color profile only when they are preserved', async () => {
+      const source = await sharp(await fs.readFile(path.join(testDir, 'original', 'photo.jpg'))).metadata();
+      const outputMetadata = async () => sharp(await fs.readFile(path.join(testDir, 'optimized', 'photo.jpg'))).metadata();
+      
+      await writeConfig('copy', { preserveMetadata: true });
+      expect(runOptimizer().exitCode).toBe(0);
+      const copied = await outputMetadata();
+      expect(copied.exif).toEqual(source.exif);
+      expect(copied.icc).toEqual(source.icc);
+      
+      // Copying would bring back the stripped GPS block and the P3 profile
+      await writeConfig('copy', { preserveMetadata: false });
+      const { output } = runOptimizer('--force');
+      expect(output).not.toContain('Kept source bytes');
+      expect(output).toContain('Skipped larger outputs: 1 outputs');
+      expect(output).toContain('photo.jpg was not copied from the source');
+      await expect(fs.stat(path.join(testDir, 'optimized', 'photo.jpg'))).rejects.toThrow();
+    });
+    
+    it('should never write a larger output with the default metadata settings', async () => {
+      await writeConfig(true, { formats: ['original'] });
+      
+      const { output, exitCode } = runOptimizer();
+      
+      expect(exitCode).toBe(0);
+      expect(output).toContain('photo.jpg: skipped, larger than the source');
+      expect(output).toContain('photo.jpg was not copied from the source');
+      const source = await fs.stat(path.join(testDir, 'original', 'photo.jpg'));
+      const written = await fs.stat(path.join(testDir, 'optimized', 'photo.jpg')).catch(() => null);
+      expect(written === null || written.size <= source.size).toBe(true);
+    });
+    
+    it('should skip the output without reprocessing the image on the next run', async () => {
+      await writeConfig('skip');
+      
+      const first = runOptimizer();
+      expect(first.exitCode).toBe(0);
+      expect(first.output).toContain('Skipped larger outputs: 1 outputs');
+      expect(first.output).not.toContain('was not copied from the source');
+      await expect(fs.stat(path.join(testDir, 'optimized', 'photo.jpg'))).rejects.toThrow();
+      await fs.stat(path.join(testDir, 'optimized', 'photo.webp'));
+      
+      const second = runOptimizer();
+      expect(second.output).toContain('Skipping photo.jpg (already up to date)');
+    });
   });
 });
\ No newline at end of file
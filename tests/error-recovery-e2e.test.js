@@ -70,6 +70,17 @@ describe('Error Recovery E2E', () => {
       expect(errorLogExists).toBe(true);
     });
     
+    it('should report why a corrupted image could not be processed', () => {
+      // Errors are reported on stderr
+      const result = execSync(`node ${scriptPath} --continue-on-error 2>&1`, {
+        encoding: 'utf8',
+        stdio: 'pipe'
+      });
+      
+      expect(result).toContain('Error processing z-corrupted.png: Failed to process z-corrupted.png: Input file contains unsupported image format');
+      expect(result).not.toContain('Cannot read properties');
+    });
+    
     it('should stop on first error without --continue-on-error', () => {
       let exitCode = 0;
       try {
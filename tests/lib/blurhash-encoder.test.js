@@ -0,0 +1,49 @@
+const BlurhashEncoder = require('../../src/utils/blurhash-encoder');
+
+describe('BlurhashEncoder', () => {
+  let encoder;
+
+  beforeEach(() => {
+    encoder = new BlurhashEncoder();
+  });
+
+  const solid = (width, height, channels, color) => {
+    const pixels = Buffer.alloc(width * height * channels);
+    for (let i = 0; i < width * height; i++) {
+      pixels.set(color, i * channels);
+    }
+    return pixels;
+  };
+
+  it('should encode a black image', () => {
+    const pixels = solid(8, 8, 3, [0, 0, 0]);
+
+    expect(encoder.encode(pixels, { width: 8, height: 8, channels: 3 })).toBe('L00000fQfQfQfQfQfQfQfQfQfQfQ');
+  });
+
+  it('should size the hash by the component counts', () => {
+    const pixels = solid(8, 8, 3, [200, 120, 40]);
+
+    const hash = encoder.encode(pixels, { width: 8, height: 8, channels: 3 }, [5, 4]);
+
+    // Size flag, maximum AC value, 4 characters of DC and 2 per AC component
+    expect(hash).toHaveLength(2 + 4 + 2 * (5 * 4 - 1));
+    expect(hash[0]).toBe('V');
+  });
+
+  it('should encode the average color as the DC component', () => {
+    const pixels = solid(4, 4, 4, [255, 0, 0, 255]);
+
+    const hash = encoder.encode(pixels, { width: 4, height: 4, channels: 4 }, [1, 1]);
+
+    expect(hash).toHaveLength(6);
+    expect(hash.slice(2)).toBe(encoder.encode83(0xff0000, 4));
+  });
+
+  it('should reject component counts outside 1 to 9', () => {
+    const pixels = solid(2, 2, 3, [0, 0, 0]);
+
+    expect(() => encoder.encode(pixels, { width: 2, height: 2, channels: 3 }, [10, 3]))
+      .toThrow('BlurHash components must be between 1 and 9');
+  });
+});
@@ -0,0 +1,48 @@
+const ColorQuantizer = require('../../src/utils/color-quantizer');
+
+describe('ColorQuantizer', () => {
+  let quantizer;
+
+  beforeEach(() => {
+    quantizer = new ColorQuantizer();
+  });
+
+  // One row of pixels with the given colors and counts
+  const stripes = (channels, ...runs) => {
+    const colors = runs.flatMap(([color, count]) => Array(count).fill(color));
+    return {
+      pixels: Buffer.from(colors.flat()),
+      info: { width: colors.length, height: 1, channels }
+    };
+  };
+
+  it('should return the colors most common first', () => {
+    const { pixels, info } = stripes(3, [[0, 0, 255], 10], [[255, 0, 0], 30], [[0, 255, 0], 20]);
+
+    expect(quantizer.quantize(pixels, info, 5)).toEqual([
+      { r: 255, g: 0, b: 0, population: 30 },
+      { r: 0, g: 255, b: 0, population: 20 },
+      { r: 0, g: 0, b: 255, population: 10 }
+    ]);
+  });
+
+  it('should merge colors into as many boxes as requested', () => {
+    const { pixels, info } = stripes(3, [[250, 0, 0], 10], [[200, 0, 0], 10], [[0, 0, 200], 10], [[0, 0, 250], 10]);
+
+    expect(quantizer.quantize(pixels, info, 2)).toEqual([
+      { r: 0, g: 0, b: 225, population: 20 },
+      { r: 225, g: 0, b: 0, population: 20 }
+    ]);
+  });
+
+  it('should leave transparent pixels out', () => {
+    const { pixels, info } = stripes(4, [[0, 0, 0, 0], 50], [[10, 20, 30, 255], 5]);
+
+    expect(quantizer.quantize(pixels, info, 5)).toEqual([{ r: 10, g: 20, b: 30, population: 5 }]);
+    expect(quantizer.quantize(...Object.values(stripes(4, [[0, 0, 0, 0], 5])), 5)).toEqual([]);
+  });
+
+  it('should format colors as CSS hex strings', () => {
+    expect(quantizer.toHex({ r: 58, g: 123, b: 5 })).toBe('#3a7b05');
+  });
+});
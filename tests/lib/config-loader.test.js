@@ -187,6 +187,33 @@ describe('ConfigLoader', () => {
         .toThrow('Output directory cannot be empty');
     });
     
+    it('should reject invalid responsive widths', () => {
+      expect(() => configLoader.validateConfig({ widths: 640 }))
+        .toThrow('widths must be an array');
+      expect(() => configLoader.validateConfig({ widths: [320, -640] }))
+        .toThrow('Invalid width: -640');
+      expect(() => configLoader.validateConfig({ widths: [320, 640] })).not.toThrow();
+    });
+    
+    it('should reject unknown change detection strategies', () => {
+      expect(() => configLoader.validateConfig({ changeDetection: 'size' }))
+        .toThrow('Invalid changeDetection: size');
+      expect(() => configLoader.validateConfig({ changeDetection: 'hash' })).not.toThrow();
+    });
+    
+    it('should reject non-boolean filenameHash', () => {
+      expect(() => configLoader.validateConfig({ filenameHash: 'yes' }))
+        .toThrow('filenameHash must be a boolean');
+    });
+    
+    it('should reject non-integer or non-positive concurrency', () => {
+      expect(() => configLoader.validateConfig({ concurrency: 0 }))
+        .toThrow('concurrency must be a positive integer');
+      expect(() => configLoader.validateConfig({ concurrency: 2.5 }))
+        .toThrow('concurrency must be a positive integer');
+      expect(() => configLoader.validateConfig({ concurrency: 4 })).not.toThrow();
+    });
+    
     it('should accept partial configuration', () => {
       const partialConfig = {
         quality: {
@@ -245,6 +272,335 @@ describe('ConfigLoader', () => {
         .toThrow('qualityRules[0].quality.jpeg must be between 1 and 100');
     });
     
+    it('should accept metadata conditions as matching criteria', () => {
+      const configWithRules = {
+        qualityRules: [
+          {
+            format: ['png', 'webp'],
+            hasAlpha: true,
+            quality: { webp: 90 }
+          },
+          {
+            minBytes: 5000000,
+            maxAspectRatio: 0.75,
+            quality: { webp: 60 }
+          }
+        ]
+      };
+      
+      expect(() => configLoader.validateConfig(configWithRules)).not.toThrow();
+    });
+    
+    it('should reject invalid metadata conditions', () => {
+      expect(() => configLoader.validateConfig({
+        qualityRules: [{ format: 42, quality: { webp: 90 } }]
+      })).toThrow('qualityRules[0].format must be a string or an array of strings');
+      
+      expect(() => configLoader.validateConfig({
+        qualityRules: [{ hasAlpha: 'yes', quality: { webp: 90 } }]
+      })).toThrow('qualityRules[0].hasAlpha must be a boolean');
+      
+      expect(() => configLoader.validateConfig({
+        qualityRules: [{ minAspectRatio: -1, quality: { webp: 90 } }]
+      })).toThrow('qualityRules[0].minAspectRatio must be a positive number');
+    });
+    
+    it('should accept rules that override processing settings', () => {
+      const configWithRules = {
+        qualityRules: [
+          {
+            directory: 'logos/',
+            formats: ['original', 'webp'],
+            generateThumbnails: false,
+            formatOptions: { webp: { lossless: true } }
+          },
+          {
+            directory: 'photos/',
+            resize: { width: 3000, height: 3000 },
+            thumbnailWidth: 400
+          }
+        ]
+      };
+      
+      expect(() => configLoader.validateConfig(configWithRules)).not.toThrow();
+    });
+    
+    it('should reject rules without overrides', () => {
+      expect(() => configLoader.validateConfig({
+        qualityRules: [{ pattern: '*.jpg' }]
+      })).toThrow('qualityRules[0] must override at least one of: quality, formats, resize');
+    });
+    
+    it('should reject invalid profile overrides', () => {
+      expect(() => configLoader.validateConfig({
+        qualityRules: [{ pattern: '*.png', formats: ['gif'] }]
+      })).toThrow('qualityRules[0].formats has invalid format: gif');
+      
+      expect(() => configLoader.validateConfig({
+        qualityRules: [{ pattern: '*.png', resize: { width: 0 } }]
+      })).toThrow('qualityRules[0].resize.width must be a positive integer');
+      
+      expect(() => configLoader.validateConfig({
+        qualityRules: [{ pattern: '*.png', generateThumbnails: 'no' }]
+      })).toThrow('qualityRules[0].generateThumbnails must be a boolean');
+      
+      expect(() => configLoader.validateConfig({
+        qualityRules: [{ pattern: '*.png', formatOptions: { tiff: {} } }]
+      })).toThrow('qualityRules[0].formatOptions has invalid format: tiff');
+    });
+    
+    it('should validate thumbnail presets', () => {
+      expect(() => configLoader.validateConfig({
+        thumbnails: [
+          { name: 'card', width: 400, height: 300, format: 'avif', crop: 'attention' },
+          { name: 'og_image', width: 1200, format: 'jpeg', quality: 85 }
+        ],
+        qualityRules: [{ directory: 'team/', thumbnails: [{ name: 'avatar', width: 96, height: 96, crop: 'entropy' }] }]
+      })).not.toThrow();
+      
+      expect(() => configLoader.validateConfig({ thumbnails: { name: 'card' } }))
+        .toThrow('thumbnails must be an array of presets');
+      expect(() => configLoader.validateConfig({ thumbnails: [{ name: '640', width: 640 }] }))
+        .toThrow('thumbnails[0].name must start with a letter');
+      expect(() => configLoader.validateConfig({ thumbnails: [{ name: 'card', width: 1 }, { name: 'card', width: 2 }] }))
+        .toThrow('thumbnails has duplicate preset name: card');
+      expect(() => configLoader.validateConfig({ thumbnails: [{ name: 'card' }] }))
+        .toThrow('thumbnails[0].width must be a positive integer');
+      expect(() => configLoader.validateConfig({ thumbnails: [{ name: 'card', width: 100, format: 'gif' }] }))
+        .toThrow('thumbnails[0].format must be one of: webp, avif, jpeg, png');
+      expect(() => configLoader.validateConfig({ thumbnails: [{ name: 'card', width: 100, crop: 'face' }] }))
+        .toThrow('thumbnails[0].crop must be one of: centre');
+      expect(() => configLoader.validateConfig({
+        qualityRules: [{ pattern: '*.jpg', thumbnails: [{ name: 'card', width: 100, quality: 0 }] }]
+      })).toThrow('qualityRules[0].thumbnails[0].quality must be between 1 and 100');
+    });
+    
+    it('should validate watermarks', () => {
+      expect(() => configLoader.validateConfig({
+        watermark: { image: 'brand/logo.png', gravity: 'southwest', margin: 24, opacity: 0.6, scale: 0.15, outputs: ['full', 'widths'] },
+        qualityRules: [{ directory: 'logos/', watermark: false }]
+      })).not.toThrow();
+      
+      expect(() => configLoader.validateConfig({ watermark: 'brand/logo.png' }))
+        .toThrow('watermark must be an object or false');
+      expect(() => configLoader.validateConfig({ watermark: { gravity: 'north' } }))
+        .toThrow('watermark.image must be a path to the watermark image');
+      expect(() => configLoader.validateConfig({ watermark: { image: 'logo.png', gravity: 'top' } }))
+        .toThrow('watermark.gravity must be one of: north');
+      expect(() => configLoader.validateConfig({ watermark: { image: 'logo.png', margin: -4 } }))
+        .toThrow('watermark.margin must be a non-negative integer');
+      expect(() => configLoader.validateConfig({ watermark: { image: 'logo.png', opacity: 0 } }))
+        .toThrow('watermark.opacity must be greater than 0 and at most 1');
+      expect(() => configLoader.validateConfig({ watermark: { image: 'logo.png', outputs: ['posters'] } }))
+        .toThrow('watermark.outputs has invalid output: posters. Valid outputs are: full, widths, thumbnails');
+      expect(() => configLoader.validateConfig({
+        qualityRules: [{ pattern: '*.jpg', watermark: { image: 'logo.png', scale: 2 } }]
+      })).toThrow('qualityRules[0].watermark.scale must be greater than 0 and at most 1');
+    });
+    
+    it('should validate placeholders', () => {
+      expect(() => configLoader.validateConfig({ placeholders: true })).not.toThrow();
+      expect(() => configLoader.validateConfig({
+        placeholders: { lqip: false, blurhash: true, size: 24, components: [5, 4] }
+      })).not.toThrow();
+      
+      expect(() => configLoader.validateConfig({ placeholders: 'blurhash' }))
+        .toThrow('placeholders must be a boolean or an object');
+      expect(() => configLoader.validateConfig({ placeholders: { lqip: 'yes' } }))
+        .toThrow('placeholders.lqip must be a boolean');
+      expect(() => configLoader.validateConfig({ placeholders: { size: 128 } }))
+        .toThrow('placeholders.size must be an integer between 4 and 64');
+      expect(() => configLoader.validateConfig({ placeholders: { components: [4, 10] } }))
+        .toThrow('placeholders.components must be [x, y] with integers between 1 and 9');
+    });
+    
+    it('should validate color extraction', () => {
+      expect(() => configLoader.validateConfig({ colors: true })).not.toThrow();
+      expect(() => configLoader.validateConfig({ colors: { paletteSize: 8 } })).not.toThrow();
+      
+      expect(() => configLoader.validateConfig({ colors: 'palette' }))
+        .toThrow('colors must be a boolean or an object');
+      expect(() => configLoader.validateConfig({ colors: { paletteSize: 0 } }))
+        .toThrow('colors.paletteSize must be an integer between 1 and 16');
+    });
+    
+    it('should validate the color space', () => {
+      expect(() => configLoader.validateConfig({ colorSpace: 'p3' })).not.toThrow();
+      expect(() => configLoader.validateConfig({ colorSpace: 'adobe-rgb' }))
+        .toThrow('colorSpace must be one of: srgb, p3, preserve');
+    });
+    
+    it('should validate adjustment steps', () => {
+      expect(() => configLoader.validateConfig({
+        transforms: ['normalize', { type: 'trim', threshold: 20 }, { type: 'flatten', background: '#fff' }, 'grayscale'],
+        qualityRules: [{ pattern: '*.jpg', transforms: [{ type: 'sharpen', sigma: 1.2 }] }]
+      })).not.toThrow();
+      
+      expect(() => configLoader.validateConfig({ transforms: 'sharpen' }))
+        .toThrow('transforms must be an array of steps');
+      expect(() => configLoader.validateConfig({ transforms: ['blur'] }))
+        .toThrow('transforms[0] has unknown step: blur. Valid steps are: sharpen, normalize, trim, flatten, grayscale');
+      expect(() => configLoader.validateConfig({ transforms: ['grayscale', { type: 'flatten', background: 'white' }] }))
+        .toThrow('transforms[1].background must be a hex color such as #ffffff');
+      expect(() => configLoader.validateConfig({ transforms: [{ type: 'sharpen', radius: 2 }] }))
+        .toThrow('transforms[0] has unknown option: radius. Valid options are: sigma');
+      expect(() => configLoader.validateConfig({
+        qualityRules: [{ pattern: '*.jpg', transforms: [{ type: 'normalize', upper: 120 }] }]
+      })).toThrow('qualityRules[0].transforms[0].upper must be an integer between 1 and 100');
+    });
+    
+    it('should validate the neverLarger guard', () => {
+      ['copy', 'skip', true, false].forEach(neverLarger => {
+        expect(() => configLoader.validateConfig({ neverLarger })).not.toThrow();
+      });
+      
+      expect(() => configLoader.validateConfig({ neverLarger: 'replace' }))
+        .toThrow('neverLarger must be a boolean or one of: copy, skip');
+    });
+    
+    it('should validate maximum dimensions', () => {
+      expect(() => configLoader.validateConfig({
+        maxWidth: { webp: 2000, jpeg: 6000 },
+        maxHeight: 4000,
+        maxMegapixels: 24.5,
+        allowEnlargement: false,
+        fit: 'cover',
+        position: 'entropy',
+        qualityRules: [{ maxWidth: 800, outputMaxWidth: 1200, fit: 'contain', position: 'left top' }]
+      })).not.toThrow();
+      
+      expect(() => configLoader.validateConfig({ maxWidth: 0 }))
+        .toThrow('maxWidth must be a positive integer or an object of values per format');
+      expect(() => configLoader.validateConfig({ maxHeight: { gif: 100 } }))
+        .toThrow('maxHeight has invalid format: gif');
+      expect(() => configLoader.validateConfig({ maxMegapixels: { webp: -2 } }))
+        .toThrow('maxMegapixels.webp must be a positive number');
+      expect(() => configLoader.validateConfig({ allowEnlargement: 'yes' }))
+        .toThrow('allowEnlargement must be a boolean');
+      expect(() => configLoader.validateConfig({ fit: 'stretch' }))
+        .toThrow('fit must be one of: inside, outside, cover, contain, fill');
+      expect(() => configLoader.validateConfig({ position: 'middle' }))
+        .toThrow('position must be one of: centre');
+      expect(() => configLoader.validateConfig({
+        qualityRules: [{ pattern: 'print/*', outputMaxHeight: 1.5 }]
+      })).toThrow('qualityRules[0].outputMaxHeight must be a positive integer');
+    });
+    
+    it('should validate encoder options per format', () => {
+      expect(() => configLoader.validateConfig({
+        formatOptions: {
+          jpeg: { progressive: true, mozjpeg: true, chromaSubsampling: '4:4:4' },
+          webp: { effort: 6, nearLossless: true, smartSubsample: true },
+          avif: { effort: 9, lossless: false, bitdepth: 10 },
+          png: { compressionLevel: 6, adaptiveFiltering: true }
+        }
+      })).not.toThrow();
+      
+      expect(() => configLoader.validateConfig({ formatOptions: { webp: { effort: 7 } } }))
+        .toThrow('formatOptions.webp.effort must be an integer between 0 and 6');
+      expect(() => configLoader.validateConfig({ formatOptions: { jpeg: { chromaSubsampling: '4:2:2' } } }))
+        .toThrow('formatOptions.jpeg.chromaSubsampling must be one of: 4:2:0, 4:4:4');
+      expect(() => configLoader.validateConfig({ formatOptions: { avif: { lossless: 'yes' } } }))
+        .toThrow('formatOptions.avif.lossless must be a boolean');
+      expect(() => configLoader.validateConfig({ formatOptions: { jpeg: { quality: 90 } } }))
+        .toThrow('formatOptions.jpeg has unknown option: quality');
+      expect(() => configLoader.validateConfig({ formatOptions: { gif: {} } }))
+        .toThrow('formatOptions has invalid format: gif');
+      expect(() => configLoader.validateConfig({
+        qualityRules: [{ pattern: '*.png', formatOptions: { webp: { preset: 'logo' } } }]
+      })).toThrow('qualityRules[0].formatOptions.webp.preset must be one of: default, photo');
+    });
+    
+    it('should validate output byte budgets', () => {
+      expect(() => configLoader.validateConfig({
+        maxBytes: 200000,
+        qualityRules: [{ pattern: '*-hero.*', outputMaxBytes: { webp: 100000, jpeg: 150000 } }]
+      })).not.toThrow();
+      
+      expect(() => configLoader.validateConfig({ maxBytes: -1 }))
+        .toThrow('maxBytes must be a positive integer or an object of budgets per format');
+      
+      expect(() => configLoader.validateConfig({ maxBytes: { png: 1000 } }))
+        .toThrow('maxBytes has invalid format: png');
+      
+      expect(() => configLoader.validateConfig({
+        qualityRules: [{ pattern: '*.jpg', outputMaxBytes: { webp: 1.5 } }]
+      })).toThrow('qualityRules[0].outputMaxBytes.webp must be a positive integer');
+    });
+    
+    it('should validate SSIM targets', () => {
+      expect(() => configLoader.validateConfig({
+        targetSsim: 0.98,
+        qualityRules: [{ directory: 'photos/', targetSsim: 0.95 }]
+      })).not.toThrow();
+      
+      expect(() => configLoader.validateConfig({ targetSsim: 1 }))
+        .toThrow('targetSsim must be a number between 0 and 1 (exclusive)');
+      
+      expect(() => configLoader.validateConfig({
+        qualityRules: [{ directory: 'photos/', targetSsim: '0.9' }]
+      })).toThrow('qualityRules[0].targetSsim must be a number between 0 and 1 (exclusive)');
+    });
+    
+    it('should validate the auto format', () => {
+      expect(() => configLoader.validateConfig({ formats: ['auto'], autoTolerance: 0.1 })).not.toThrow();
+      
+      expect(() => configLoader.validateConfig({ formats: ['auto', 'webp'] }))
+        .toThrow('The auto format cannot be combined with other formats');
+      
+      expect(() => configLoader.validateConfig({ autoTolerance: 2 }))
+        .toThrow('autoTolerance must be a number between 0 and 1');
+      
+      expect(() => configLoader.validateConfig({
+        qualityRules: [{ directory: 'icons/', formats: ['auto', 'original'] }]
+      })).toThrow('qualityRules[0].formats cannot combine auto with other formats');
+    });
+    
+    it('should validate animationPoster', () => {
+      expect(() => configLoader.validateConfig({ animationPoster: true })).not.toThrow();
+      expect(() => configLoader.validateConfig({ animationPoster: 'yes' }))
+        .toThrow('animationPoster must be a boolean');
+    });
+    
+    it('should validate inputExtensions', () => {
+      expect(() => configLoader.validateConfig({ inputExtensions: ['jpg', '.TIFF', 'heic'] })).not.toThrow();
+      expect(() => configLoader.validateConfig({ inputExtensions: [] }))
+        .toThrow('inputExtensions must be a non-empty array of file extensions');
+      expect(() => configLoader.validateConfig({ inputExtensions: 'jpg' }))
+        .toThrow('inputExtensions must be a non-empty array of file extensions');
+      expect(() => configLoader.validateConfig({ inputExtensions: ['*.jpg'] }))
+        .toThrow('inputExtensions must be a non-empty array of file extensions');
+    });
+    
+    it('should validate png quality and palette options', () => {
+      expect(() => configLoader.validateConfig({
+        quality: { png: 70 },
+        png: { palette: true, colors: 128, dither: 0.8, effort: 7 }
+      })).not.toThrow();
+      expect(() => configLoader.validateConfig({ quality: { png: 0 } }))
+        .toThrow('Quality for png must be between 1 and 100');
+      expect(() => configLoader.validateConfig({ png: true }))
+        .toThrow('png must be an object');
+      expect(() => configLoader.validateConfig({ png: { palette: 'yes' } }))
+        .toThrow('png.palette must be a boolean');
+      expect(() => configLoader.validateConfig({ png: { colors: 300 } }))
+        .toThrow('png.colors must be an integer between 2 and 256');
+      expect(() => configLoader.validateConfig({ png: { dither: 2 } }))
+        .toThrow('png.dither must be a number between 0 and 1');
+      expect(() => configLoader.validateConfig({ png: { effort: 0 } }))
+        .toThrow('png.effort must be an integer between 1 and 10');
+    });
+    
+    it('should validate svgDensity', () => {
+      expect(() => configLoader.validateConfig({ svgDensity: 150 })).not.toThrow();
+      expect(() => configLoader.validateConfig({ svgDensity: 0 }))
+        .toThrow('svgDensity must be a number between 1 and 100000');
+      expect(() => configLoader.validateConfig({ svgDensity: 0.5 }))
+        .toThrow('svgDensity must be a number between 1 and 100000');
+      expect(() => configLoader.validateConfig({ svgDensity: '300' }))
+        .toThrow('svgDensity must be a number between 1 and 100000');
+    });
+    
     it('should reject non-array qualityRules', () => {
       const invalidConfig = {
         qualityRules: { pattern: '*.jpg', quality: { jpeg: 90 } }
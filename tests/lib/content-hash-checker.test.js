@@ -0,0 +1,129 @@
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const ContentHashChecker = require('../../src/utils/content-hash-checker');
+
+describe('ContentHashChecker', () => {
+  let checker;
+  let tempDir;
+  let inputPath;
+  let outputPath;
+  const signature = { configs: [{ format: 'webp', options: { quality: 80 } }] };
+  
+  beforeEach(async () => {
+    tempDir = path.join(os.tmpdir(), `hash-checker-test-${Date.now()}`);
+    await fs.mkdir(tempDir, { recursive: true });
+    
+    inputPath = path.join(tempDir, 'input.png');
+    outputPath = path.join(tempDir, 'output.webp');
+    await fs.writeFile(inputPath, 'source-bytes');
+    await fs.writeFile(outputPath, 'output-bytes');
+    
+    checker = new ContentHashChecker({ cacheFile: path.join(tempDir, 'hashes.json') });
+  });
+  
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+  
+  const reload = () => new ContentHashChecker({ cacheFile: checker.cacheFile });
+  
+  describe('shouldProcess', () => {
+    it('should always return true when forceReprocess is enabled', async () => {
+      expect(await checker.shouldProcess(inputPath, [outputPath], true, signature)).toBe(true);
+    });
+    
+    it('should return false when input file does not exist', async () => {
+      expect(await checker.shouldProcess(path.join(tempDir, 'missing.png'), [outputPath], false)).toBe(false);
+    });
+    
+    it('should return true for images that were never processed', async () => {
+      expect(await checker.shouldProcess(inputPath, [outputPath], false, signature)).toBe(true);
+    });
+    
+    it('should return false after processing even when mtimes change', async () => {
+      await checker.shouldProcess(inputPath, [outputPath], false, signature);
+      await checker.recordProcessed(inputPath, signature);
+      await checker.save();
+      
+      // Simulate a fresh checkout: the source looks newer than its outputs
+      const future = new Date(Date.now() + 60000);
+      await fs.utimes(inputPath, future, future);
+      
+      expect(await reload().shouldProcess(inputPath, [outputPath], false, signature)).toBe(false);
+    });
+    
+    it('should return true when the source content changes', async () => {
+      await checker.recordProcessed(inputPath, signature);
+      await fs.writeFile(inputPath, 'edited-source-bytes');
+      
+      expect(await checker.shouldProcess(inputPath, [outputPath], false, signature)).toBe(true);
+    });
+    
+    it('should return true when the processing config changes', async () => {
+      await checker.recordProcessed(inputPath, signature);
+      
+      const changed = { configs: [{ format: 'webp', options: { quality: 90 } }] };
+      expect(await checker.shouldProcess(inputPath, [outputPath], false, changed)).toBe(true);
+    });
+    
+    it('should return true when an output is missing', async () => {
+      await checker.recordProcessed(inputPath, signature);
+      await fs.unlink(outputPath);
+      
+      expect(await checker.shouldProcess(inputPath, [outputPath], false, signature)).toBe(true);
+    });
+    
+    it('should return true when a related file changes', async () => {
+      const sidecarPath = `${inputPath}.json`;
+      await fs.writeFile(sidecarPath, '{"rotate":90}');
+      await checker.recordProcessed(inputPath, signature, [sidecarPath]);
+      expect(await checker.shouldProcess(inputPath, [outputPath], false, signature, [sidecarPath])).toBe(false);
+      
+      await fs.writeFile(sidecarPath, '{"rotate":180}');
+      expect(await checker.shouldProcess(inputPath, [outputPath], false, signature, [sidecarPath])).toBe(true);
+    });
+    
+    it('should return true when a related file is removed', async () => {
+      const sidecarPath = `${inputPath}.json`;
+      await fs.writeFile(sidecarPath, '{"rotate":90}');
+      await checker.recordProcessed(inputPath, signature, [sidecarPath]);
+      
+      expect(await checker.shouldProcess(inputPath, [outputPath], false, signature)).toBe(true);
+    });
+  });
+  
+  describe('cache persistence', () => {
+    it('should ignore a corrupted cache file', async () => {
+      await fs.writeFile(checker.cacheFile, 'invalid json');
+      const silentChecker = new ContentHashChecker({
+        cacheFile: checker.cacheFile,
+        logger: { log: () => {}, error: () => {} }
+      });
+      
+      expect(await silentChecker.load()).toEqual({});
+    });
+    
+    it('should reprocess everything when the cache was written by another version', async () => {
+      await fs.writeFile(checker.cacheFile, JSON.stringify({ version: '0.9', algorithm: 'sha256', entries: {} }));
+      // Shaped like the CLI logger
+      const logger = { log: jest.fn(), error: jest.fn() };
+      const staleChecker = new ContentHashChecker({ cacheFile: checker.cacheFile, logger });
+      
+      expect(await staleChecker.load()).toEqual({});
+      expect(await staleChecker.shouldProcess(inputPath, [outputPath], false, signature)).toBe(true);
+      expect(logger.log).toHaveBeenCalledWith(expect.stringContaining('Hash cache version mismatch'));
+      expect(logger.error).not.toHaveBeenCalled();
+    });
+    
+    it('should store source and config hashes per input', async () => {
+      await checker.recordProcessed(inputPath, signature);
+      await checker.save();
+      
+      const cache = JSON.parse(await fs.readFile(checker.cacheFile, 'utf8'));
+      expect(cache.algorithm).toBe('sha256');
+      expect(cache.entries[inputPath].source).toMatch(/^[0-9a-f]{64}$/);
+      expect(cache.entries[inputPath].config).toMatch(/^[0-9a-f]{64}$/);
+    });
+  });
+});
@@ -84,5 +84,22 @@ describe('FileTimestampChecker', () => {
       
       expect(result).toBe(false);
     });
+
+    it('should return true when a related file is newer than the outputs', async () => {
+      mockFileStats.stat
+        .mockResolvedValueOnce({ mtime: new Date('2024-01-01') })
+        .mockResolvedValueOnce({ mtime: new Date('2024-01-03') })
+        .mockResolvedValueOnce({ mtime: new Date('2024-01-02') });
+      
+      const result = await checker.shouldProcess(
+        '/input.png',
+        ['/output.png'],
+        false,
+        {},
+        ['/input.png.json']
+      );
+      
+      expect(result).toBe(true);
+    });
   });
 });
\ No newline at end of file
@@ -86,6 +86,11 @@ describe('ImageLite', () => {
             thumbnail: path.join(outputDir, `${base}-thumb.webp`),
             directory: outputDir
           };
+        },
+        isHashedVariant: (outputPath, filename) => {
+          const { name, ext } = path.parse(outputPath);
+          return filename.startsWith(`${name}.`) && filename.endsWith(ext) &&
+            /^[0-9a-f]{8}$/.test(filename.slice(name.length + 1, -ext.length));
         }
       },
       processingConfigGenerator: {
@@ -271,6 +276,140 @@ describe('ImageLite', () => {
       expect(outputFiles).toHaveLength(0);
     });
 
+    it('should skip sources the libvips build cannot decode', async () => {
+      testDependencies.imageProcessor.canDecode = inputPath => !inputPath.endsWith('.heic');
+      const logSpy = jest.spyOn(testDependencies.logger, 'log');
+
+      const imagePath = path.join(inputDir, 'phone.heic');
+      await fs.writeFile(imagePath, 'fake-heic-data');
+
+      const result = await optimizer.optimizeImage(imagePath, 'phone.heic');
+
+      expect(result).toBe('unsupported');
+      expect(logSpy).toHaveBeenCalledWith('⚠️  Skipping phone.heic (this libvips build has no decoder for .heic files)');
+      const outputFiles = await fs.readdir(outputDir);
+      expect(outputFiles).toHaveLength(0);
+    });
+
+    it('should report invalid sidecars through the error logger', async () => {
+      const SidecarLoader = require('../../src/config/sidecar-loader');
+      const errorLogger = { log: jest.fn().mockResolvedValue() };
+      optimizer = new ImageLite({
+        ...optimizer.config,
+        sidecarLoader: new SidecarLoader(),
+        errorLogger
+      });
+
+      const imagePath = path.join(inputDir, 'photo.jpg');
+      await fs.writeFile(imagePath, 'JPEG-fake-data');
+      await fs.writeFile(`${imagePath}.json`, JSON.stringify({ rotate: 45 }));
+
+      const result = await optimizer.optimizeImage(imagePath, 'photo.jpg');
+
+      expect(result).toBe('sidecar-error');
+      expect(errorLogger.log).toHaveBeenCalledWith(
+        'photo.jpg',
+        expect.objectContaining({ message: 'photo.jpg.json: rotate must be one of: 0, 90, 180, 270' }),
+        { type: 'sidecar_error' }
+      );
+      expect(await fs.readdir(outputDir)).toHaveLength(0);
+    });
+
+    it('should apply sidecar overrides and pass its transforms to the processor', async () => {
+      const SidecarLoader = require('../../src/config/sidecar-loader');
+      const processImage = jest.spyOn(testDependencies.imageProcessor, 'processImage');
+      optimizer = new ImageLite({ ...optimizer.config, sidecarLoader: new SidecarLoader() });
+
+      const imagePath = path.join(inputDir, 'photo.jpg');
+      await fs.writeFile(imagePath, 'JPEG-fake-data');
+      await fs.writeFile(`${imagePath}.json`, JSON.stringify({
+        rotate: 90,
+        alt: 'A photo',
+        overrides: { formats: ['webp'], quality: { webp: 95 } }
+      }));
+
+      expect(await optimizer.optimizeImage(imagePath, 'photo.jpg')).toBe('processed');
+      expect(processImage).toHaveBeenCalledWith(
+        imagePath,
+        [expect.objectContaining({ format: 'webp', options: { quality: 95 } })],
+        { rotate: 90 }
+      );
+
+      const description = await optimizer.describeOutputs(imagePath, 'photo.jpg');
+      expect(description.alt).toBe('A photo');
+    });
+
+    it('should describe the outputs written this run from their processing results', async () => {
+      testDependencies.imageProcessor.processImage = async (inputPath, configs) => {
+        const results = [];
+        for (const config of configs) {
+          await fs.writeFile(config.outputPath, 'encoded');
+          results.push({ success: true, path: config.outputPath, width: 640, height: 480, size: 7 });
+        }
+        return results;
+      };
+      testDependencies.imageProcessor.getMetadata = jest.fn().mockResolvedValue({ width: 1, height: 1 });
+      optimizer = new ImageLite({ ...optimizer.config, formats: ['webp'] });
+
+      const imagePath = path.join(inputDir, 'photo.jpg');
+      await fs.writeFile(imagePath, 'JPEG-fake-data');
+
+      expect(await optimizer.optimizeImage(imagePath, 'photo.jpg')).toBe('processed');
+      const { outputs } = await optimizer.describeOutputs(imagePath, 'photo.jpg');
+
+      expect(outputs).toEqual([expect.objectContaining({ format: 'webp', width: 640, height: 480, size: 7 })]);
+      expect(testDependencies.imageProcessor.getMetadata).not.toHaveBeenCalled();
+    });
+
+    it('should describe the outputs with the sidecar and configs they were processed with', async () => {
+      const SidecarLoader = require('../../src/config/sidecar-loader');
+      const sidecarLoader = new SidecarLoader();
+      const load = jest.spyOn(sidecarLoader, 'load');
+      optimizer = new ImageLite({ ...optimizer.config, formats: ['webp'], sidecarLoader });
+
+      const imagePath = path.join(inputDir, 'photo.jpg');
+      await fs.writeFile(imagePath, 'JPEG-fake-data');
+      await fs.writeFile(`${imagePath}.json`, JSON.stringify({ alt: 'A photo' }));
+
+      expect(await optimizer.optimizeImage(imagePath, 'photo.jpg')).toBe('processed');
+      const generate = jest.spyOn(testDependencies.processingConfigGenerator, 'generate');
+      // Edited after processing: the manifest still describes what was written
+      await fs.writeFile(`${imagePath}.json`, JSON.stringify({ alt: 'Edited', overrides: { formats: ['avif'] } }));
+
+      const description = await optimizer.describeOutputs(imagePath, 'photo.jpg');
+
+      expect(load).toHaveBeenCalledTimes(1);
+      expect(generate).not.toHaveBeenCalled();
+      expect(description.alt).toBe('A photo');
+      expect(description.outputs.map(output => output.format)).toEqual(['webp']);
+    });
+
+    it('should write placeholders and keep processing when they cannot be generated', async () => {
+      testDependencies.pathGenerator.generatePlaceholderPath = filename =>
+        path.join(outputDir, `${path.parse(filename).name}.placeholder.json`);
+      testDependencies.imageProcessor.createPlaceholder = jest.fn()
+        .mockResolvedValueOnce({ lqip: 'data:image/webp;base64,AAAA', blurhash: 'L00000fQfQfQfQfQfQfQfQfQfQfQ' })
+        .mockRejectedValueOnce(new Error('Input buffer contains unsupported image format'));
+      const errorSpy = jest.spyOn(testDependencies.logger, 'error');
+      optimizer = new ImageLite({ ...optimizer.config, formats: ['webp'], placeholders: { blurhash: true } });
+
+      const photoPath = path.join(inputDir, 'photo.jpg');
+      const brokenPath = path.join(inputDir, 'broken.jpg');
+      await fs.writeFile(photoPath, 'JPEG-fake-data');
+      await fs.writeFile(brokenPath, 'JPEG-fake-data');
+
+      expect(await optimizer.optimizeImage(photoPath, 'photo.jpg')).toBe('processed');
+      expect(testDependencies.imageProcessor.createPlaceholder).toHaveBeenCalledWith(photoPath, { blurhash: true }, undefined);
+      const placeholder = JSON.parse(await fs.readFile(path.join(outputDir, 'photo.placeholder.json'), 'utf8'));
+      expect(placeholder.blurhash).toBe('L00000fQfQfQfQfQfQfQfQfQfQfQ');
+      expect((await optimizer.describeOutputs(photoPath, 'photo.jpg')).placeholder).toEqual(placeholder);
+
+      expect(await optimizer.optimizeImage(brokenPath, 'broken.jpg')).toBe('processed');
+      expect(errorSpy).toHaveBeenCalledWith(
+        '⚠️  Could not generate a placeholder for broken.jpg: Input buffer contains unsupported image format'
+      );
+    });
+
     it('should process normal images to all configured formats', async () => {
       // Create a JPG file
       const jpgPath = path.join(inputDir, 'photo.jpg');
@@ -316,5 +455,135 @@ describe('ImageLite', () => {
       expect(outputFiles).toContain('nested.webp');
       expect(outputFiles).toContain('nested.avif');
     });
+
+    it('should keep only the smallest auto-format candidate', async () => {
+      const pngPath = path.join(inputDir, 'logo.png');
+      await fs.writeFile(pngPath, 'PNG-fake-data');
+      
+      const sizes = { webp: 300, avif: 200, png: 260 };
+      testDependencies.imageProcessor.processImage = async (inputPath, configs) => {
+        for (const config of configs) {
+          await fs.writeFile(config.outputPath, Buffer.alloc(sizes[config.format]));
+        }
+        return configs.map(config => ({ success: true, path: config.outputPath }));
+      };
+      testDependencies.processingConfigGenerator.generate = (filename, paths) => [
+        { outputPath: paths.webp, format: 'webp', options: {}, autoCandidate: 'webp' },
+        { outputPath: paths.avif, format: 'avif', options: {}, autoCandidate: 'avif' },
+        { outputPath: paths.original, format: 'png', options: {}, autoCandidate: 'original' }
+      ];
+      
+      expect(await optimizer.optimizeImage(pngPath, 'logo.png')).toBe('processed');
+      expect(await fs.readdir(outputDir)).toEqual(['logo.avif']);
+      expect(optimizer.encodeReports.get(path.join(outputDir, 'logo.avif'))).toEqual({
+        autoFormat: { winner: 'avif', candidates: { webp: 300, avif: 200, original: 260 } }
+      });
+      
+      // Within the tolerance the more broadly supported format wins
+      optimizer.config.autoTolerance = 0.3;
+      testDependencies.timestampChecker.shouldProcess = () => Promise.resolve(true);
+      expect(await optimizer.optimizeImage(pngPath, 'logo.png')).toBe('processed');
+      expect(await fs.readdir(outputDir)).toEqual(['logo.png']);
+    });
+
+    it('should drop the neverLarger report of an output encoded again', async () => {
+      const jpgPath = path.join(inputDir, 'photo.jpg');
+      await fs.writeFile(jpgPath, 'JPEG-fake-data');
+
+      let neverLarger = 'copied';
+      testDependencies.timestampChecker.shouldProcess = () => Promise.resolve(true);
+      testDependencies.imageProcessor.processImage = async (inputPath, configs) => {
+        for (const config of configs) {
+          await fs.writeFile(config.outputPath, 'processed');
+        }
+        return configs.map(config => ({
+          success: true,
+          path: config.outputPath,
+          width: 10,
+          height: 10,
+          size: 9,
+          ...(config.format === 'jpeg' && neverLarger && { neverLarger, encodedSize: 20, sourceSize: 14 })
+        }));
+      };
+      optimizer.config.formats = ['original'];
+
+      expect(await optimizer.optimizeImage(jpgPath, 'photo.jpg')).toBe('processed');
+      expect((await optimizer.describeOutputs(jpgPath, 'photo.jpg')).outputs[0].neverLarger).toBe('copied');
+
+      // The edited source encodes smaller, so the guard no longer applies
+      neverLarger = null;
+      expect(await optimizer.optimizeImage(jpgPath, 'photo.jpg')).toBe('processed');
+      const { outputs } = await optimizer.describeOutputs(jpgPath, 'photo.jpg');
+      expect(outputs).toHaveLength(1);
+      expect(outputs[0]).not.toHaveProperty('neverLarger');
+    });
+
+    it('should drop the budget and SSIM report of an output encoded without them', async () => {
+      const jpgPath = path.join(inputDir, 'photo.jpg');
+      await fs.writeFile(jpgPath, 'JPEG-fake-data');
+
+      let budget = { quality: 62, maxBytes: 5000, budgetMet: true, targetSsim: 0.98, ssim: 0.98123 };
+      testDependencies.timestampChecker.shouldProcess = () => Promise.resolve(true);
+      testDependencies.imageProcessor.processImage = async (inputPath, configs) => {
+        for (const config of configs) {
+          await fs.writeFile(config.outputPath, 'processed');
+        }
+        return configs.map(config => ({ success: true, path: config.outputPath, width: 10, height: 10, size: 9, ...budget }));
+      };
+      optimizer.config.formats = ['webp'];
+      const webpPath = path.join(outputDir, 'photo.webp');
+
+      await optimizer.optimizeImage(jpgPath, 'photo.jpg');
+      expect(optimizer.encodeReports.get(webpPath)).toEqual({
+        quality: 62, maxBytes: 5000, budgetMet: true, targetSsim: 0.98, ssim: 0.9812
+      });
+
+      // A rule or sidecar change removed the budget and the SSIM target
+      budget = {};
+      await optimizer.optimizeImage(jpgPath, 'photo.jpg');
+      expect(optimizer.encodeReports.has(webpPath)).toBe(false);
+      expect((await optimizer.describeOutputs(jpgPath, 'photo.jpg')).outputs[0]).not.toHaveProperty('maxBytes');
+    });
+
+    it('should encode with per-image quality and overrides', async () => {
+      const jpgPath = path.join(inputDir, 'hero.jpg');
+      await fs.writeFile(jpgPath, 'JPEG-fake-data');
+      
+      let processedConfigs;
+      testDependencies.imageProcessor.processImage = (inputPath, configs) => {
+        processedConfigs = configs;
+        return Promise.resolve(configs.map(config => ({ success: true, outputPath: config.outputPath })));
+      };
+      
+      const result = await optimizer.optimizeImage(jpgPath, 'hero.jpg', {
+        quality: { webp: 95 },
+        overrides: { formats: ['webp', 'avif'], quality: { avif: 60 } }
+      });
+      
+      expect(result).toBe('processed');
+      expect(processedConfigs.map(config => [config.format, config.options.quality])).toEqual([
+        ['webp', 95],
+        ['avif', 60]
+      ]);
+    });
+  });
+
+  describe('getImageConfig', () => {
+    it('should merge rule encoder options into the global ones per format', () => {
+      optimizer.config.formatOptions = {
+        webp: { effort: 6, smartSubsample: true },
+        jpeg: { mozjpeg: true }
+      };
+      
+      const config = optimizer.getImageConfig({
+        overrides: { formatOptions: { webp: { lossless: true, effort: 4 }, png: { palette: true } } }
+      });
+      
+      expect(config.formatOptions).toEqual({
+        webp: { effort: 4, smartSubsample: true, lossless: true },
+        jpeg: { mozjpeg: true },
+        png: { palette: true }
+      });
+    });
   });
 });
\ No newline at end of file
@@ -15,7 +15,7 @@ describe('ImageProcessor', () => {
       avif: jest.fn().mockReturnThis(),
       png: jest.fn().mockReturnThis(),
       jpeg: jest.fn().mockReturnThis(),
-      toFile: jest.fn().mockResolvedValue()
+      toFile: jest.fn().mockResolvedValue({ width: 2000, height: 1500, size: 48000 })
     };
     
     // Mock sharp to return an object with rotate method
@@ -52,7 +52,7 @@ describe('ImageProcessor', () => {
       expect(mockImage.toFile).toHaveBeenCalledWith('/output/image.webp');
       
       expect(results).toEqual([
-        { path: '/output/image.webp', success: true }
+        { path: '/output/image.webp', success: true, width: 2000, height: 1500, size: 48000 }
       ]);
     });
 
@@ -77,6 +77,23 @@ describe('ImageProcessor', () => {
       expect(results.every(r => r.success)).toBe(true);
     });
 
+    it('should decode every frame for animated outputs', async () => {
+      const animatedImage = { clone: jest.fn().mockReturnValue(mockImage) };
+      mockSharp.mockImplementation((input, options) => (options?.animated
+        ? animatedImage
+        : { rotate: jest.fn().mockReturnValue(mockImage) }));
+      
+      const results = await processor.processImage('/input/spinner.gif', [
+        { outputPath: '/output/spinner.webp', format: 'webp', options: { loop: 0 }, animated: true },
+        { outputPath: '/output/spinner-poster.webp', format: 'webp', options: { quality: 80 } }
+      ]);
+      
+      expect(mockSharp).toHaveBeenCalledWith('/input/spinner.gif', { animated: true });
+      expect(animatedImage.clone).toHaveBeenCalledTimes(1);
+      expect(mockImage.webp).toHaveBeenCalledWith({ loop: 0 });
+      expect(results.every(r => r.success)).toBe(true);
+    });
+
     it('should preserve metadata when configured', async () => {
       const processor = new ImageProcessor(mockSharp, { preserveMetadata: true });
       const configs = [{
@@ -112,4 +129,542 @@ describe('ImageProcessor', () => {
       ]);
     });
   });
+
+  describe('byte budgets', () => {
+    let fsMock;
+    let encodedQuality;
+
+    beforeEach(() => {
+      // Encoded size grows with quality: 1000 bytes per quality point
+      mockImage.webp.mockImplementation(options => {
+        encodedQuality = options.quality;
+        return mockImage;
+      });
+      mockImage.toBuffer = jest.fn().mockImplementation(() => Promise.resolve({
+        data: Buffer.alloc(encodedQuality * 1000),
+        info: { width: 800, height: 600, size: encodedQuality * 1000 }
+      }));
+      fsMock = { writeFile: jest.fn().mockResolvedValue() };
+      processor = new ImageProcessor(mockSharp, {}, { fs: fsMock });
+    });
+
+    it('should keep the configured quality when it fits', async () => {
+      const results = await processor.processImage('/input/image.png', [{
+        outputPath: '/output/image.webp',
+        format: 'webp',
+        options: { quality: 85 },
+        maxBytes: 90000
+      }]);
+      
+      expect(mockImage.webp).toHaveBeenCalledTimes(1);
+      expect(results[0]).toMatchObject({ quality: 85, size: 85000, budgetMet: true });
+    });
+
+    it('should search for the highest quality under the budget', async () => {
+      const results = await processor.processImage('/input/image.png', [{
+        outputPath: '/output/image.webp',
+        format: 'webp',
+        options: { quality: 85 },
+        maxBytes: 42500
+      }]);
+      
+      expect(results[0]).toEqual({
+        path: '/output/image.webp',
+        success: true,
+        quality: 42,
+        width: 800,
+        height: 600,
+        size: 42000,
+        maxBytes: 42500,
+        budgetMet: true
+      });
+      expect(fsMock.writeFile).toHaveBeenCalledWith('/output/image.webp', expect.any(Buffer));
+      expect(fsMock.writeFile.mock.calls[0][1]).toHaveLength(42000);
+      expect(mockImage.toFile).not.toHaveBeenCalled();
+    });
+
+    it('should pick the lowest quality that reaches the SSIM target', async () => {
+      // Similarity improves by 0.01 per quality point: 0.85 is first reached at quality 85
+      jest.spyOn(processor, 'readLuma').mockResolvedValue({ data: Buffer.alloc(0), info: {} });
+      jest.spyOn(processor, 'measureSsim').mockImplementation((reference, buffer) => 
+        Promise.resolve(buffer.length / 100000)
+      );
+      
+      const results = await processor.processImage('/input/image.png', [{
+        outputPath: '/output/image.webp',
+        format: 'webp',
+        options: { quality: 50 },
+        targetSsim: 0.85
+      }]);
+      
+      expect(results[0]).toEqual({
+        path: '/output/image.webp',
+        success: true,
+        quality: 85,
+        width: 800,
+        height: 600,
+        size: 85000,
+        targetSsim: 0.85,
+        ssim: 0.85
+      });
+    });
+
+    it('should lower an SSIM-chosen quality to fit a byte budget', async () => {
+      jest.spyOn(processor, 'readLuma').mockResolvedValue({ data: Buffer.alloc(0), info: {} });
+      jest.spyOn(processor, 'measureSsim').mockImplementation((reference, buffer) => 
+        Promise.resolve(buffer.length / 100000)
+      );
+      
+      const results = await processor.processImage('/input/image.png', [{
+        outputPath: '/output/image.webp',
+        format: 'webp',
+        options: { quality: 50 },
+        targetSsim: 0.85,
+        maxBytes: 60000
+      }]);
+      
+      expect(results[0]).toMatchObject({ quality: 60, budgetMet: true, ssim: 0.6 });
+    });
+
+    it('should flag budgets that cannot be met at minimum quality', async () => {
+      const results = await processor.processImage('/input/image.png', [{
+        outputPath: '/output/image.webp',
+        format: 'webp',
+        options: { quality: 85 },
+        maxBytes: 500
+      }]);
+      
+      expect(results[0]).toMatchObject({ quality: 1, size: 1000, budgetMet: false });
+      expect(fsMock.writeFile.mock.calls[0][1]).toHaveLength(1000);
+    });
+  });
+  
+  describe('input formats', () => {
+    it('should rasterize SVG sources at the configured density', async () => {
+      processor = new ImageProcessor(mockSharp, { svgDensity: 300 });
+      
+      await processor.processImage('/input/logo.svg', [{ outputPath: '/output/logo.webp', format: 'webp' }]);
+      
+      expect(mockSharp).toHaveBeenCalledWith('/input/logo.svg', { density: 300 });
+    });
+    
+    it('should default SVG sources to 72 DPI', () => {
+      processor.open('/input/logo.SVG', { animated: true });
+      
+      expect(mockSharp).toHaveBeenCalledWith('/input/logo.SVG', { density: 72, animated: true });
+    });
+    
+    it('should check the loaders of the sharp build for a decoder', () => {
+      mockSharp.format = {
+        jpeg: { id: 'jpeg', input: { file: true, fileSuffix: ['.jpg', '.jpeg'] } },
+        heif: { id: 'heif', input: { file: true, fileSuffix: ['.avif'] } },
+        magick: { id: 'magick', input: { file: false } }
+      };
+      
+      expect(processor.canDecode('/input/photo.JPG')).toBe(true);
+      expect(processor.canDecode('/input/photo.avif')).toBe(true);
+      expect(processor.canDecode('/input/photo.heic')).toBe(false);
+      expect(processor.canDecode('/input/scan.bmp')).toBe(false);
+      
+      mockSharp.format.magick.input.file = true;
+      expect(processor.canDecode('/input/scan.bmp')).toBe(true);
+    });
+  });
+  
+  describe('watermarks', () => {
+    const realSharp = require('sharp');
+    const fs = require('fs').promises;
+    const os = require('os');
+    const path = require('path');
+    let tempDir;
+    
+    beforeEach(async () => {
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'watermark-test-'));
+      await realSharp({ create: { width: 400, height: 200, channels: 3, background: '#ffffff' } })
+        .png().toFile(path.join(tempDir, 'photo.png'));
+      await realSharp({ create: { width: 100, height: 50, channels: 4, background: '#000000' } })
+        .png().toFile(path.join(tempDir, 'logo.png'));
+      processor = new ImageProcessor(realSharp);
+    });
+    
+    afterEach(async () => {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    });
+    
+    it('should composite a scaled, faded watermark at the gravity after resizing', async () => {
+      const outputPath = path.join(tempDir, 'photo-out.png');
+      const results = await processor.processImage(path.join(tempDir, 'photo.png'), [{
+        outputPath,
+        format: 'png',
+        resize: { width: 200, height: 200 },
+        watermark: { image: path.join(tempDir, 'logo.png'), gravity: 'southeast', margin: 10, scale: 0.25, opacity: 0.5 }
+      }]);
+      
+      expect(results[0].success).toBe(true);
+      const { data, info } = await realSharp(outputPath).raw().toBuffer({ resolveWithObject: true });
+      const red = (x, y) => data[(y * info.width + x) * info.channels];
+      
+      // 200x100 output: a 50x25 watermark ending 10px in from the bottom right corner
+      expect([info.width, info.height]).toEqual([200, 100]);
+      expect(red(140, 65)).toBeGreaterThan(100);
+      expect(red(140, 65)).toBeLessThan(155);
+      expect(red(195, 95)).toBe(255);
+      expect(red(135, 65)).toBe(255);
+    });
+    
+    it('should keep watermarks inside the output', () => {
+      expect(processor.placeWatermark(100, 40, 80, false, true)).toBe(0);
+      expect(processor.placeWatermark(100, 40, 80, true, false)).toBe(60);
+      expect(processor.placeWatermark(100, 40, 10, false, false)).toBe(30);
+    });
+  });
+  
+  describe('placeholders', () => {
+    const realSharp = require('sharp');
+    const fs = require('fs').promises;
+    const os = require('os');
+    const path = require('path');
+    let tempDir;
+    let inputPath;
+    
+    beforeEach(async () => {
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'placeholder-test-'));
+      inputPath = path.join(tempDir, 'photo.png');
+      await realSharp({ create: { width: 400, height: 200, channels: 3, background: '#000000' } })
+        .png().toFile(inputPath);
+      processor = new ImageProcessor(realSharp);
+    });
+    
+    afterEach(async () => {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    });
+    
+    it('should create a tiny WebP data URL and a BlurHash', async () => {
+      const placeholder = await processor.createPlaceholder(inputPath, { size: 16 });
+      
+      expect(placeholder.blurhash).toBe('L00000fQfQfQfQfQfQfQfQfQfQfQ');
+      expect(placeholder.lqip).toMatch(/^data:image\/webp;base64,/);
+      const lqip = Buffer.from(placeholder.lqip.split(',')[1], 'base64');
+      expect(await realSharp(lqip).metadata()).toMatchObject({ format: 'webp', width: 16, height: 8 });
+    });
+    
+    it('should follow the sidecar rotation and skip disabled placeholders', async () => {
+      const placeholder = await processor.createPlaceholder(
+        inputPath,
+        { blurhash: false, size: 16 },
+        { rotate: 90 }
+      );
+      
+      expect(placeholder).not.toHaveProperty('blurhash');
+      const lqip = Buffer.from(placeholder.lqip.split(',')[1], 'base64');
+      expect(await realSharp(lqip).metadata()).toMatchObject({ width: 8, height: 16 });
+    });
+  });
+  
+  describe('colors', () => {
+    const realSharp = require('sharp');
+    const fs = require('fs').promises;
+    const os = require('os');
+    const path = require('path');
+    let tempDir;
+    
+    beforeEach(async () => {
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'colors-test-'));
+      processor = new ImageProcessor(realSharp);
+    });
+    
+    afterEach(async () => {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    });
+    
+    it('should find the dominant color and a palette ordered by coverage', async () => {
+      const inputPath = path.join(tempDir, 'flag.png');
+      // Small enough to be sampled without resampling, which would blend the edge
+      await realSharp({ create: { width: 60, height: 30, channels: 3, background: '#ff0000' } })
+        .composite([{ input: { create: { width: 20, height: 30, channels: 3, background: '#0000ff' } }, left: 0, top: 0 }])
+        .png().toFile(inputPath);
+      
+      const colors = await processor.extractColors(inputPath, { paletteSize: 2 });
+      
+      expect(colors.dominantColor).toBe('#ff0000');
+      expect(colors.palette).toEqual(['#ff0000', '#0000ff']);
+    });
+    
+    it('should report the source color of solid and gradient images as dominant', async () => {
+      const solidPath = path.join(tempDir, 'solid.png');
+      await realSharp({ create: { width: 40, height: 40, channels: 3, background: '#c8321e' } })
+        .png().toFile(solidPath);
+      
+      const solid = await processor.extractColors(solidPath);
+      expect(solid.dominantColor).toBe('#c8321e');
+      expect(solid.palette).toEqual(['#c8321e']);
+      
+      // A horizontal gray ramp: the dominant color is one of its grays, not black
+      const gradientPath = path.join(tempDir, 'gradient.png');
+      const pixels = Buffer.alloc(64 * 8);
+      pixels.forEach((_, i) => { pixels[i] = (i % 64) * 4; });
+      await realSharp(pixels, { raw: { width: 64, height: 8, channels: 1 } }).png().toFile(gradientPath);
+      
+      const gradient = await processor.extractColors(gradientPath);
+      expect(gradient.dominantColor).toBe(gradient.palette[0]);
+      const [r, g, b] = [1, 3, 5].map(i => parseInt(gradient.dominantColor.slice(i, i + 2), 16));
+      expect(r).toBe(g);
+      expect(g).toBe(b);
+      expect(r).toBeGreaterThan(16);
+    });
+  });
+  
+  describe('color spaces', () => {
+    const realSharp = require('sharp');
+    const fs = require('fs').promises;
+    const os = require('os');
+    const path = require('path');
+    let tempDir;
+    let inputPath;
+    
+    beforeEach(async () => {
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'color-space-test-'));
+      inputPath = path.join(tempDir, 'wide.jpg');
+      await realSharp({ create: { width: 16, height: 16, channels: 3, background: '#ff0000' } })
+        .withIccProfile('p3')
+        .withExif({ IFD0: { Copyright: 'Studio' } })
+        .jpeg({ quality: 100 })
+        .toFile(inputPath);
+    });
+    
+    afterEach(async () => {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    });
+    
+    const processWith = async config => {
+      const outputPath = path.join(tempDir, 'out.png');
+      processor = new ImageProcessor(realSharp, config);
+      const [result] = await processor.processImage(inputPath, [{ outputPath, format: 'png' }]);
+      expect(result.success).toBe(true);
+      
+      const { data } = await realSharp(outputPath, { ignoreIcc: true }).raw().toBuffer({ resolveWithObject: true });
+      return { metadata: await realSharp(outputPath).metadata(), pixel: [...data.subarray(0, 3)] };
+    };
+    
+    it('should keep the source profile and pixels alongside all metadata with preserve', async () => {
+      const { metadata, pixel } = await processWith({ preserveMetadata: true, colorSpace: 'preserve' });
+      
+      expect(metadata.icc).toBeDefined();
+      expect(metadata.exif).toBeDefined();
+      // Still stored as Display P3 values rather than converted to sRGB red
+      expect(pixel[1]).toBeGreaterThan(40);
+    });
+    
+    it('should convert to sRGB with metadata kept unless preserving', async () => {
+      const { pixel } = await processWith({ preserveMetadata: true });
+      
+      expect(pixel[0]).toBeGreaterThan(250);
+      expect(pixel[1]).toBeLessThan(10);
+    });
+  });
+  
+  describe('transforms', () => {
+    const realSharp = require('sharp');
+    const fs = require('fs').promises;
+    const os = require('os');
+    const path = require('path');
+    let tempDir;
+    
+    beforeEach(async () => {
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'transforms-test-'));
+      processor = new ImageProcessor(realSharp);
+    });
+    
+    afterEach(async () => {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    });
+    
+    const readOutput = async outputPath => realSharp(await fs.readFile(outputPath)).raw().toBuffer({ resolveWithObject: true });
+    
+    it('should flatten transparent sources onto the background before encoding JPEG', async () => {
+      const inputPath = path.join(tempDir, 'logo.png');
+      const outputPath = path.join(tempDir, 'logo.jpg');
+      await realSharp({ create: { width: 20, height: 20, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } } })
+        .png().toFile(inputPath);
+      
+      const [result] = await processor.processImage(inputPath, [{
+        outputPath,
+        format: 'jpeg',
+        options: { quality: 95 },
+        transforms: [{ type: 'flatten', background: '#00ff00' }]
+      }]);
+      
+      expect(result.success).toBe(true);
+      const { data } = await readOutput(outputPath);
+      expect(data[0]).toBeLessThan(10);
+      expect(data[1]).toBeGreaterThan(245);
+    });
+    
+    it('should run the steps in order after resizing', async () => {
+      // Blue box on a white border: trimmed after resizing rather than before,
+      // which is where sharp would trim within a single pipeline
+      const inputPath = path.join(tempDir, 'framed.png');
+      await realSharp({ create: { width: 200, height: 100, channels: 3, background: '#ffffff' } })
+        .composite([{ input: { create: { width: 100, height: 50, channels: 3, background: '#0000ff' } }, left: 50, top: 25 }])
+        .png().toFile(inputPath);
+      
+      const outputPath = path.join(tempDir, 'framed-out.png');
+      const [result] = await processor.processImage(inputPath, [{
+        outputPath,
+        format: 'png',
+        options: {},
+        resize: { width: 100, height: 100 },
+        transforms: ['grayscale', 'trim']
+      }]);
+      
+      expect(result.success).toBe(true);
+      const { data, info } = await readOutput(outputPath);
+      // Resampling blends the edge of the box into a pixel of border
+      expect(info.width).toBeGreaterThanOrEqual(50);
+      expect(info.width).toBeLessThanOrEqual(52);
+      expect(info.height).toBeLessThanOrEqual(26);
+      expect(data[0]).toBe(data[2]);
+    });
+  });
+
+  describe('neverLarger', () => {
+    const realSharp = require('sharp');
+    const fs = require('fs').promises;
+    const os = require('os');
+    const path = require('path');
+    let tempDir;
+    let inputPath;
+    let outputPath;
+    
+    beforeEach(async () => {
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'never-larger-test-'));
+      processor = new ImageProcessor(realSharp);
+      
+      // A heavily compressed source grows when re-encoded at quality 100
+      inputPath = path.join(tempDir, 'photo.jpg');
+      outputPath = path.join(tempDir, 'out.jpg');
+      await realSharp({ create: { width: 120, height: 80, channels: 3, background: '#3366cc' } })
+        .composite([{ input: { create: { width: 40, height: 40, channels: 3, background: '#ffcc00' } }, left: 20, top: 20 }])
+        .jpeg({ quality: 10 }).toFile(inputPath);
+    });
+    
+    afterEach(async () => {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    });
+    
+    const encode = (neverLarger, options = { quality: 100 }) => processor.processImage(inputPath, [{
+      outputPath,
+      format: 'jpeg',
+      options,
+      neverLarger
+    }]);
+    
+    it('should copy the source bytes of a source without metadata when the output would be larger', async () => {
+      const sourceSize = (await fs.stat(inputPath)).size;
+      
+      const [result] = await encode('copy');
+      
+      expect(result).toMatchObject({
+        path: outputPath,
+        success: true,
+        width: 120,
+        height: 80,
+        size: sourceSize,
+        neverLarger: 'copied',
+        sourceSize
+      });
+      expect(result.encodedSize).toBeGreaterThan(sourceSize);
+      expect(await fs.readFile(outputPath)).toEqual(await fs.readFile(inputPath));
+    });
+    
+    it('should skip the output and remove an earlier one when the output would be larger', async () => {
+      await fs.writeFile(outputPath, 'stale');
+      
+      const [result] = await encode('skip');
+      
+      expect(result).toMatchObject({ success: true, neverLarger: 'skipped' });
+      await expect(fs.stat(outputPath)).rejects.toThrow();
+    });
+    
+    it('should skip instead of copying a source whose metadata the config strips', async () => {
+      await realSharp({ create: { width: 120, height: 80, channels: 3, background: '#3366cc' } })
+        .composite([{ input: { create: { width: 40, height: 40, channels: 3, background: '#ffcc00' } }, left: 20, top: 20 }])
+        .withExif({ IFD0: { Copyright: 'Studio' } })
+        .jpeg({ quality: 10 }).toFile(inputPath);
+      
+      const [result] = await encode('copy');
+      
+      expect(result).toMatchObject({ success: true, neverLarger: 'skipped', copyFallback: true });
+      await expect(fs.stat(outputPath)).rejects.toThrow();
+      
+      processor = new ImageProcessor(realSharp, { preserveMetadata: true });
+      expect((await encode('copy'))[0]).toMatchObject({ neverLarger: 'copied' });
+    });
+    
+    it('should write auto-format candidates that cannot be copied', async () => {
+      await realSharp({ create: { width: 120, height: 80, channels: 3, background: '#3366cc' } })
+        .composite([{ input: { create: { width: 40, height: 40, channels: 3, background: '#ffcc00' } }, left: 20, top: 20 }])
+        .withIccProfile('p3')
+        .jpeg({ quality: 10 }).toFile(inputPath);
+      
+      const [result] = await processor.processImage(inputPath, [{
+        outputPath,
+        format: 'jpeg',
+        options: { quality: 100 },
+        neverLarger: 'copy',
+        autoCandidate: 'original'
+      }]);
+      
+      expect(result).not.toHaveProperty('neverLarger');
+      expect(result.size).toBe((await fs.stat(outputPath)).size);
+    });
+    
+    it('should only copy sources whose metadata and color profile the config keeps', () => {
+      const copyKeepsStripped = (config, source) => new ImageProcessor(realSharp, config).copyKeepsStripped(source);
+      const exif = Buffer.from('exif');
+      const icc = Buffer.from('icc');
+      
+      expect(copyKeepsStripped({}, {})).toBe(false);
+      expect(copyKeepsStripped({}, { exif })).toBe(true);
+      expect(copyKeepsStripped({}, { icc })).toBe(true);
+      expect(copyKeepsStripped({ preserveMetadata: { copyright: true } }, { exif })).toBe(true);
+      expect(copyKeepsStripped({ preserveMetadata: { copyright: true } }, { icc })).toBe(false);
+      expect(copyKeepsStripped({ preserveMetadata: true }, { exif, icc })).toBe(false);
+      expect(copyKeepsStripped({ preserveMetadata: true, colorSpace: 'p3' }, { exif, icc })).toBe(true);
+      expect(copyKeepsStripped({ colorSpace: 'preserve' }, { icc })).toBe(false);
+      expect(copyKeepsStripped({ colorSpace: 'srgb' }, {})).toBe(false);
+    });
+    
+    it('should write the encoded output when it is smaller', async () => {
+      const [result] = await encode('copy', { quality: 5 });
+      
+      expect(result).toEqual({
+        path: outputPath,
+        success: true,
+        width: 120,
+        height: 80,
+        size: (await fs.stat(outputPath)).size
+      });
+      expect(await fs.readFile(outputPath)).not.toEqual(await fs.readFile(inputPath));
+    });
+    
+    it('should not fall back to the source when the output is resized or rotated', async () => {
+      const [resized] = await processor.processImage(inputPath, [{
+        outputPath,
+        format: 'jpeg',
+        options: { quality: 100 },
+        resize: { width: 60 },
+        neverLarger: 'copy'
+      }]);
+      expect(resized).not.toHaveProperty('neverLarger');
+      
+      const [rotated] = await processor.processImage(inputPath, [{
+        outputPath,
+        format: 'jpeg',
+        options: { quality: 100 },
+        neverLarger: 'copy'
+      }], { rotate: 90 });
+      expect(rotated).not.toHaveProperty('neverLarger');
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,62 @@
+const fs = require('fs').promises;
+const path = require('path');
+const sharp = require('sharp');
+const os = require('os');
+const { getImageMetadata, ImageProcessor } = require('../../src');
+
+describe('getImageMetadata', () => {
+  let tempDir;
+  let imagePath;
+  
+  beforeEach(async () => {
+    tempDir = path.join(os.tmpdir(), `index-test-${Date.now()}`);
+    await fs.mkdir(tempDir, { recursive: true });
+    
+    // Mostly red with a blue block
+    imagePath = path.join(tempDir, 'photo.png');
+    await sharp({ create: { width: 40, height: 20, channels: 3, background: '#ff0000' } })
+      .composite([{ input: { create: { width: 10, height: 20, channels: 3, background: '#0000ff' } }, left: 30, top: 0 }])
+      .png()
+      .toFile(imagePath);
+  });
+  
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+  
+  it('should read the metadata without extracting colors by default', async () => {
+    const extractColors = jest.spyOn(ImageProcessor.prototype, 'extractColors');
+    
+    const metadata = await getImageMetadata(imagePath);
+    
+    expect(metadata).toMatchObject({ width: 40, height: 20, format: 'png' });
+    expect(metadata.size).toBe((await fs.stat(imagePath)).size);
+    expect(metadata).not.toHaveProperty('dominantColor');
+    expect(metadata).not.toHaveProperty('palette');
+    expect(extractColors).not.toHaveBeenCalled();
+  });
+  
+  it('should add the dominant color and palette with colors enabled', async () => {
+    const metadata = await getImageMetadata(imagePath, { colors: true });
+    
+    expect(metadata.dominantColor).toMatch(/^#[0-9a-f]{6}$/);
+    expect(metadata.palette).toEqual(['#ff0000', '#0000ff']);
+  });
+  
+  it('should pass the colors options on to the color extraction', async () => {
+    const extractColors = jest.spyOn(ImageProcessor.prototype, 'extractColors');
+    
+    const { palette } = await getImageMetadata(imagePath, { colors: { paletteSize: 1 } });
+    
+    expect(extractColors).toHaveBeenCalledWith(imagePath, { paletteSize: 1 });
+    expect(palette).toHaveLength(1);
+  });
+  
+  it('should report unreadable files', async () => {
+    const corruptPath = path.join(tempDir, 'corrupt.png');
+    await fs.writeFile(corruptPath, 'not an image');
+    
+    await expect(getImageMetadata(corruptPath, { colors: true })).rejects.toThrow('Failed to read metadata');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,89 @@
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const ManifestManager = require('../../src/state/manifest-manager');
+
+describe('ManifestManager', () => {
+  let manifest;
+  let logger;
+  let tempDir;
+  let outputDir;
+  
+  beforeEach(async () => {
+    tempDir = path.join(os.tmpdir(), `manifest-test-${Date.now()}`);
+    outputDir = path.join(tempDir, 'optimized');
+    await fs.mkdir(tempDir, { recursive: true });
+    
+    // Shaped like the CLI logger
+    logger = { log: jest.fn(), error: jest.fn() };
+    manifest = new ManifestManager({ outputDir, logger });
+  });
+  
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+  
+  const describeOutput = outputPath => ({
+    sourceSize: 1000,
+    outputs: [
+      { path: outputPath, format: 'webp', width: 100, height: 50, size: 250, reduction: 0.75 }
+    ]
+  });
+  
+  it('should default the manifest file to the output directory', () => {
+    expect(manifest.manifestFile).toBe(path.join(outputDir, 'image-manifest.json'));
+  });
+  
+  it('should store output paths relative to the output directory', () => {
+    manifest.setImage(path.join('photos', 'a.jpg'), describeOutput(path.join(outputDir, 'photos', 'a.webp')));
+    
+    expect(manifest.getImage('photos/a.jpg')).toEqual({
+      sourceSize: 1000,
+      outputs: [
+        { path: 'photos/a.webp', format: 'webp', width: 100, height: 50, size: 250, reduction: 0.75 }
+      ]
+    });
+  });
+  
+  it('should save and load entries', async () => {
+    manifest.setImage('b.jpg', describeOutput(path.join(outputDir, 'b.webp')));
+    manifest.setImage('a.jpg', describeOutput(path.join(outputDir, 'a.webp')));
+    await manifest.save();
+    
+    const saved = JSON.parse(await fs.readFile(manifest.manifestFile, 'utf8'));
+    expect(saved.version).toBe('1.0');
+    expect(Object.keys(saved.images)).toEqual(['a.jpg', 'b.jpg']);
+    
+    const reloaded = new ManifestManager({ outputDir });
+    await reloaded.load();
+    expect(reloaded.hasImage('a.jpg')).toBe(true);
+    expect(reloaded.hasImage('b.jpg')).toBe(true);
+  });
+  
+  it('should start empty when the manifest is missing or corrupted', async () => {
+    expect(await manifest.load()).toEqual({});
+    
+    await fs.mkdir(outputDir, { recursive: true });
+    await fs.writeFile(manifest.manifestFile, 'invalid json');
+    expect(await manifest.load()).toEqual({});
+  });
+  
+  it('should rebuild a manifest written by another version', async () => {
+    await fs.mkdir(outputDir, { recursive: true });
+    await fs.writeFile(manifest.manifestFile, JSON.stringify({ version: '0.9', images: { 'a.jpg': {} } }));
+    
+    expect(await manifest.load()).toEqual({});
+    expect(logger.log).toHaveBeenCalledWith(expect.stringContaining('Manifest version mismatch'));
+    expect(logger.error).not.toHaveBeenCalled();
+  });
+  
+  it('should prune entries for sources that no longer exist', () => {
+    manifest.setImage('keep.jpg', describeOutput(path.join(outputDir, 'keep.webp')));
+    manifest.setImage('gone.jpg', describeOutput(path.join(outputDir, 'gone.webp')));
+    
+    manifest.prune(['keep.jpg', 'new.jpg']);
+    
+    expect(manifest.hasImage('keep.jpg')).toBe(true);
+    expect(manifest.hasImage('gone.jpg')).toBe(false);
+  });
+});
@@ -0,0 +1,151 @@
+const sharp = require('sharp');
+const MetadataFilter = require('../../src/utils/metadata-filter');
+
+describe('MetadataFilter', () => {
+  let filter;
+  let metadata;
+
+  beforeAll(async () => {
+    const image = await sharp({
+      create: {
+        width: 20,
+        height: 20,
+        channels: 3,
+        background: { r: 255, g: 0, b: 0 }
+      }
+    })
+      .jpeg()
+      .withExif({
+        IFD0: {
+          Copyright: 'Test Copyright',
+          Artist: 'Test Artist',
+          Make: 'Canon',
+          Model: 'EOS R5',
+          DateTime: '2024:01:01 10:00:00'
+        },
+        IFD2: {
+          DateTimeOriginal: '2024:01:01 10:00:00',
+          BodySerialNumber: '0123456789',
+          FNumber: '28/10',
+          ISOSpeedRatings: '400'
+        },
+        IFD3: {
+          GPSLatitudeRef: 'N',
+          GPSLatitude: '51/1 30/1 1234/100',
+          GPSAltitudeRef: '0'
+        }
+      })
+      .toBuffer();
+    
+    metadata = await sharp(image).metadata();
+  });
+
+  beforeEach(() => {
+    filter = new MetadataFilter();
+  });
+
+  describe('readExif', () => {
+    it('should parse known tags into libvips string values', () => {
+      const tags = filter.readExif(metadata.exif);
+      
+      expect(tags.IFD0).toMatchObject({ Copyright: 'Test Copyright', Make: 'Canon' });
+      expect(tags.IFD2).toMatchObject({ FNumber: '28/10', ISOSpeedRatings: '400', BodySerialNumber: '0123456789' });
+      expect(tags.IFD3).toEqual({ GPSLatitudeRef: 'N', GPSLatitude: '51/1 30/1 1234/100', GPSAltitudeRef: '0' });
+    });
+
+    it('should tolerate malformed EXIF', () => {
+      expect(() => filter.readExif(Buffer.from('Exif\0\0II*\0garbage'))).not.toThrow();
+      expect(filter.readExif(Buffer.alloc(0))).toEqual({});
+    });
+
+    // Big-endian ("MM") TIFF: IFD0 at offset 8 with Make and Copyright stored
+    // after it, plus optional extra entries
+    const bigEndianExif = (extraEntries = []) => {
+      const u16 = value => [value >> 8, value & 0xff];
+      const u32 = value => [value >>> 24, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff];
+      const count = 2 + extraEntries.length;
+      const dataOffset = 8 + 2 + count * 12 + 4;
+      const entry = (tag, type, components, value) => [...u16(tag), ...u16(type), ...u32(components), ...u32(value)];
+
+      return Buffer.from([
+        ...Buffer.from('MM'), ...u16(42), ...u32(8),
+        ...u16(count),
+        ...entry(0x010F, 2, 6, dataOffset),
+        ...entry(0x8298, 2, 5, dataOffset + 6),
+        ...extraEntries.flat(),
+        ...u32(0),
+        ...Buffer.from('Canon\0ACME\0')
+      ]);
+    };
+
+    it('should parse big-endian EXIF', () => {
+      expect(filter.readExif(bigEndianExif())).toEqual({ IFD0: { Make: 'Canon', Copyright: 'ACME' } });
+    });
+
+    it('should keep the tags parsed before an IFD pointer that leads outside the block', () => {
+      // GPS IFD pointer (0x8825, LONG) to an offset past the end of the buffer
+      const gpsPointer = [0x88, 0x25, 0x00, 0x04, 0x00, 0x00, 0x00, 0x01, 0x00, 0x00, 0xff, 0xff];
+
+      const tags = filter.readExif(bigEndianExif([gpsPointer]));
+
+      expect(tags.IFD0).toEqual({ Make: 'Canon', Copyright: 'ACME' });
+      expect(tags.IFD3).toBeUndefined();
+    });
+
+    it('should skip string values that point outside the block', () => {
+      const truncated = bigEndianExif().subarray(0, 44);
+
+      expect(filter.readExif(truncated).IFD0).toEqual({ Make: 'Canon' });
+    });
+  });
+
+  describe('filter', () => {
+    it('should keep only copyright and creator when selected', () => {
+      expect(filter.filter(metadata, { copyright: true, creator: true, gps: false })).toEqual({
+        IFD0: { Artist: 'Test Artist', Copyright: 'Test Copyright' }
+      });
+    });
+
+    it('should keep datetime, camera and gps groups', () => {
+      const exif = filter.filter(metadata, { datetime: true, camera: true, gps: true });
+      
+      expect(exif.IFD0).toEqual({ Make: 'Canon', Model: 'EOS R5', DateTime: '2024:01:01 10:00:00' });
+      expect(exif.IFD2).toEqual({
+        FNumber: '28/10',
+        ISOSpeedRatings: '400',
+        DateTimeOriginal: '2024:01:01 10:00:00',
+        BodySerialNumber: '0123456789'
+      });
+      expect(exif.IFD3.GPSLatitude).toBe('51/1 30/1 1234/100');
+    });
+
+    it('should return nothing when no group is selected', () => {
+      expect(filter.filter(metadata, { gps: false })).toEqual({});
+    });
+
+    it('should carry XMP credits into EXIF when EXIF has none', () => {
+      const xmp = Buffer.from(
+        '<x:xmpmeta><rdf:RDF><rdf:Description>' +
+        '<dc:rights><rdf:Alt><rdf:li xml:lang="x-default">&#169; Studio &amp; Co</rdf:li></rdf:Alt></dc:rights>' +
+        '<dc:creator><rdf:Seq><rdf:li>Jane Doe</rdf:li></rdf:Seq></dc:creator>' +
+        '</rdf:Description></rdf:RDF></x:xmpmeta>'
+      );
+      
+      expect(filter.filter({ xmp }, { copyright: true, creator: true })).toEqual({
+        IFD0: { Copyright: '© Studio & Co', Artist: 'Jane Doe' }
+      });
+    });
+
+    it('should carry IPTC credits into EXIF when EXIF has none', () => {
+      const dataset = (id, value) => Buffer.concat([
+        Buffer.from([0x1C, 2, id, 0, value.length]),
+        Buffer.from(value)
+      ]);
+      const iptc = Buffer.concat([dataset(80, 'IPTC Author'), dataset(116, 'IPTC Copyright')]);
+      
+      expect(filter.filter({ iptc }, { copyright: true, creator: true })).toEqual({
+        IFD0: { Copyright: 'IPTC Copyright', Artist: 'IPTC Author' }
+      });
+    });
+  });
+});
@@ -30,6 +30,26 @@ describe('OutputPathGenerator', () => {
       });
     });
 
+    it('should keep GIF originals and add a poster path', () => {
+      const paths = generator.generatePaths('spinner.gif');
+      
+      expect(paths).toEqual({
+        webp: '/output/spinner.webp',
+        avif: '/output/spinner.avif',
+        original: '/output/spinner.gif',
+        thumbnail: '/output/spinner-thumb.webp',
+        poster: '/output/spinner-poster.webp'
+      });
+    });
+
+    it('should match the original extension to the format it is encoded in', () => {
+      expect(generator.generatePaths('photo.webp').original).toBe('/output/photo.png');
+      expect(generator.generatePaths('logo.svg').original).toBe('/output/logo.png');
+      expect(generator.generatePaths('scan.tiff').original).toBe('/output/scan.jpg');
+      expect(generator.generatePaths('shot.heic').original).toBe('/output/shot.jpg');
+      expect(generator.generatePaths('still.avif').original).toBe('/output/still.jpg');
+    });
+
     it('should handle uppercase extensions', () => {
       const paths = generator.generatePaths('IMAGE.PNG');
       
@@ -37,6 +57,70 @@ describe('OutputPathGenerator', () => {
     });
   });
 
+  describe('generateWidthPaths', () => {
+    it('should generate a path per width with the width as suffix', () => {
+      const paths = generator.generateWidthPaths('hero.jpg', [640, 1024]);
+      
+      expect(paths).toEqual({
+        640: {
+          webp: '/output/hero-640.webp',
+          avif: '/output/hero-640.avif',
+          original: '/output/hero-640.jpg'
+        },
+        1024: {
+          webp: '/output/hero-1024.webp',
+          avif: '/output/hero-1024.avif',
+          original: '/output/hero-1024.jpg'
+        }
+      });
+    });
+
+    it('should keep subdirectories from the filename', () => {
+      const paths = generator.generateWidthPaths('gallery/photo.png', [320]);
+      
+      expect(paths[320].original).toBe('/output/gallery/photo-320.png');
+    });
+  });
+
+  describe('generateThumbnailPaths', () => {
+    it('should suffix each preset with its name and format extension', () => {
+      const paths = generator.generateThumbnailPaths('gallery/portrait.jpg', [
+        { name: 'card', format: 'avif' },
+        { name: 'square' },
+        { name: 'og', format: 'jpeg' }
+      ]);
+      
+      expect(paths).toEqual({
+        card: '/output/gallery/portrait-card.avif',
+        square: '/output/gallery/portrait-square.webp',
+        og: '/output/gallery/portrait-og.jpg'
+      });
+    });
+  });
+
+  describe('source data paths', () => {
+    it('should place the placeholder and colors JSON next to the outputs', () => {
+      expect(generator.generatePlaceholderPath('gallery/hero.jpg'))
+        .toBe('/output/gallery/hero.placeholder.json');
+      expect(generator.generateColorsPath('gallery/hero.jpg'))
+        .toBe('/output/gallery/hero.colors.json');
+    });
+  });
+
+  describe('hashed filenames', () => {
+    it('should embed the hash before the extension', () => {
+      expect(generator.generateHashedPath('/output/hero-640.webp', '3f9a1c2b'))
+        .toBe('/output/hero-640.3f9a1c2b.webp');
+    });
+
+    it('should only match hashed variants of the same output', () => {
+      expect(generator.isHashedVariant('/output/hero.webp', 'hero.3f9a1c2b.webp')).toBe(true);
+      expect(generator.isHashedVariant('/output/hero.webp', 'hero.webp')).toBe(false);
+      expect(generator.isHashedVariant('/output/hero.webp', 'hero-640.3f9a1c2b.webp')).toBe(false);
+      expect(generator.isHashedVariant('/output/hero.webp', 'hero.3f9a1c2b.avif')).toBe(false);
+    });
+  });
+
   describe('getProcessingConfigs', () => {
     it('should generate PNG processing configs', () => {
       const paths = {
@@ -0,0 +1,468 @@
+const path = require('path');
+const ProcessingConfigGenerator = require('../../src/core/processing-config-generator');
+const OutputPathGenerator = require('../../src/utils/output-path-generator');
+
+describe('ProcessingConfigGenerator', () => {
+  let generator;
+  let pathGenerator;
+
+  beforeEach(() => {
+    generator = new ProcessingConfigGenerator({
+      formats: ['webp', 'avif', 'original'],
+      quality: { webp: 80, avif: 70, jpeg: 85 },
+      generateThumbnails: false
+    });
+    pathGenerator = new OutputPathGenerator('/output');
+  });
+
+  describe('generate', () => {
+    it('should generate one full-size config per format', () => {
+      const paths = pathGenerator.generatePaths('photo.jpg');
+      const configs = generator.generate('photo.jpg', paths);
+      
+      expect(configs.map(c => c.outputPath)).toEqual([
+        '/output/photo.webp',
+        '/output/photo.avif',
+        '/output/photo.jpg'
+      ]);
+      expect(configs[0]).toMatchObject({
+        format: 'webp',
+        options: { quality: 80 },
+        resize: { width: 2000, height: 2000 }
+      });
+    });
+
+    it('should add thumbnail config when enabled', () => {
+      const paths = pathGenerator.generatePaths('photo.png');
+      const configs = generator.generate('photo.png', paths, { generateThumbnails: true, thumbnailWidth: 150 });
+      
+      expect(configs[configs.length - 1]).toMatchObject({
+        outputPath: '/output/photo-thumb.webp',
+        resize: { width: 150, height: 150, fit: 'cover' }
+      });
+    });
+
+    it('should apply profile overrides for formats, resize and encoder options', () => {
+      const paths = pathGenerator.generatePaths('logo.png');
+      const configs = generator.generate('logo.png', paths, {
+        formats: ['webp', 'original'],
+        resize: { width: 3000, height: 3000 },
+        formatOptions: { webp: { lossless: true }, png: { palette: true } }
+      });
+      
+      expect(configs).toEqual([
+        expect.objectContaining({
+          outputPath: '/output/logo.webp',
+          options: { quality: 80, lossless: true },
+          resize: { width: 3000, height: 3000, withoutEnlargement: true, fit: 'inside' }
+        }),
+        expect.objectContaining({
+          outputPath: '/output/logo.png',
+          options: { compressionLevel: 9, palette: true }
+        })
+      ]);
+    });
+  });
+
+  describe('thumbnail presets', () => {
+    const presets = [
+      { name: 'card', width: 400, height: 300, format: 'avif', crop: 'attention' },
+      { name: 'wide', width: 800, quality: 60 }
+    ];
+    const presetPaths = () => ({
+      ...pathGenerator.generatePaths('portrait.jpg'),
+      thumbnails: pathGenerator.generateThumbnailPaths('portrait.jpg', presets)
+    });
+    
+    it('should generate one config per preset instead of the default thumbnail', () => {
+      const configs = generator.generate('portrait.jpg', presetPaths(), {
+        formats: ['webp'],
+        generateThumbnails: true,
+        thumbnails: presets
+      });
+      
+      expect(configs.slice(1)).toEqual([
+        {
+          outputPath: '/output/portrait-card.avif',
+          format: 'avif',
+          options: { quality: 70 },
+          resize: { width: 400, height: 300, withoutEnlargement: true, fit: 'cover', position: 'attention' },
+          thumbnail: 'card'
+        },
+        {
+          outputPath: '/output/portrait-wide.webp',
+          format: 'webp',
+          options: { quality: 60 },
+          resize: { width: 800, height: undefined, withoutEnlargement: true, fit: 'cover', position: 'centre' },
+          thumbnail: 'wide'
+        }
+      ]);
+    });
+    
+    it('should skip presets when thumbnails are disabled', () => {
+      const configs = generator.generate('portrait.jpg', presetPaths(), {
+        formats: ['webp'],
+        generateThumbnails: false,
+        thumbnails: presets
+      });
+      
+      expect(configs.map(c => c.outputPath)).toEqual(['/output/portrait.webp']);
+    });
+  });
+  
+  describe('maximum dimensions', () => {
+    it('should cap outputs at 2000px by default', () => {
+      const configs = generator.generate('photo.jpg', pathGenerator.generatePaths('photo.jpg'));
+      
+      expect(configs[0].resize).toEqual({ width: 2000, height: 2000, withoutEnlargement: true, fit: 'inside' });
+    });
+    
+    it('should apply maximum dimensions per format with fit, position and enlargement', () => {
+      const configs = generator.generate('photo.jpg', pathGenerator.generatePaths('photo.jpg'), {
+        maxWidth: { webp: 1200, jpeg: 6000 },
+        maxHeight: 800,
+        allowEnlargement: true,
+        fit: 'cover',
+        position: 'attention'
+      });
+      
+      expect(configs.map(c => c.resize)).toEqual([
+        { width: 1200, height: 800, withoutEnlargement: false, fit: 'cover', position: 'attention' },
+        { width: 2000, height: 800, withoutEnlargement: false, fit: 'cover', position: 'attention' },
+        { width: 6000, height: 800, withoutEnlargement: false, fit: 'cover', position: 'attention' }
+      ]);
+    });
+    
+    it('should shrink outputs to the megapixel limit using the source aspect ratio', () => {
+      const configs = generator.generate('photo.jpg', pathGenerator.generatePaths('photo.jpg'), {
+        formats: ['webp', 'original'],
+        maxWidth: 8000,
+        maxHeight: 8000,
+        maxMegapixels: { jpeg: 12 }
+      }, { width: 6000, height: 4000 });
+      
+      // The 24 MP source fits 8000x8000, so only the megapixel limit applies
+      expect(configs[0].resize).toMatchObject({ width: 8000, height: 8000 });
+      expect(configs[1].resize).toMatchObject({ width: 4242, height: 2828 });
+    });
+  });
+  
+  describe('encoder options', () => {
+    it('should pass encoder options to every output of their format', () => {
+      const paths = pathGenerator.generatePaths('photo.jpg');
+      const configs = generator.generate('photo.jpg', paths, {
+        generateThumbnails: true,
+        formatOptions: {
+          webp: { effort: 6, smartSubsample: true },
+          avif: { effort: 9, bitdepth: 10 },
+          jpeg: { progressive: true, mozjpeg: true, chromaSubsampling: '4:4:4' }
+        }
+      });
+
+      expect(configs.map(c => [c.outputPath, c.options])).toEqual([
+        ['/output/photo.webp', { quality: 80, effort: 6, smartSubsample: true }],
+        ['/output/photo.avif', { quality: 70, effort: 9, bitdepth: 10 }],
+        ['/output/photo.jpg', { quality: 85, progressive: true, mozjpeg: true, chromaSubsampling: '4:4:4' }],
+        ['/output/photo-thumb.webp', { quality: 70, effort: 6, smartSubsample: true }]
+      ]);
+    });
+  });
+
+  describe('PNG quantization', () => {
+    it('should keep PNGs lossless by default', () => {
+      const configs = generator.generate('icon.png', pathGenerator.generatePaths('icon.png'), { formats: ['original'] });
+
+      expect(configs[0].options).toEqual({ compressionLevel: 9 });
+    });
+
+    it('should map quality.png and the png block to palette quantization', () => {
+      const configs = generator.generate('icon.png', pathGenerator.generatePaths('icon.png'), {
+        formats: ['original'],
+        quality: { png: 70 },
+        png: { colors: 64, dither: 0.5, effort: 8 }
+      });
+
+      expect(configs[0].options).toEqual({ compressionLevel: 9, quality: 70, colors: 64, dither: 0.5, effort: 8 });
+    });
+
+    it('should let rule encoder options override the png block', () => {
+      const configs = generator.generate('icon.png', pathGenerator.generatePaths('icon.png'), {
+        formats: ['original'],
+        png: { palette: true, colors: 64 },
+        formatOptions: { png: { palette: false } }
+      });
+
+      expect(configs[0].options).toEqual({ compressionLevel: 9, palette: false, colors: 64 });
+    });
+  });
+
+  describe('byte budgets', () => {
+    it('should attach per-format budgets to lossy outputs', () => {
+      const widths = [320];
+      const paths = {
+        ...pathGenerator.generatePaths('photo.png'),
+        widths: pathGenerator.generateWidthPaths('photo.png', widths)
+      };
+      const configs = generator.generate('photo.png', paths, {
+        widths,
+        generateThumbnails: true,
+        maxBytes: { webp: 200000, avif: 150000 }
+      });
+      
+      expect(configs.map(c => [path.basename(c.outputPath), c.maxBytes])).toEqual([
+        ['photo.webp', 200000],
+        ['photo.avif', 150000],
+        ['photo.png', undefined],
+        ['photo-320.webp', 200000],
+        ['photo-320.avif', 150000],
+        ['photo-320.png', undefined],
+        ['photo-thumb.webp', undefined]
+      ]);
+    });
+
+    it('should apply a single budget to every lossy format', () => {
+      const paths = pathGenerator.generatePaths('photo.jpg');
+      const configs = generator.generate('photo.jpg', paths, { maxBytes: 100000 });
+      
+      expect(configs.map(c => c.maxBytes)).toEqual([100000, 100000, 100000]);
+    });
+  });
+
+  describe('SSIM targets', () => {
+    it('should attach the SSIM target to lossy outputs only', () => {
+      const paths = pathGenerator.generatePaths('logo.png');
+      const configs = generator.generate('logo.png', paths, { targetSsim: 0.98 });
+      
+      expect(configs.map(c => [path.basename(c.outputPath), c.targetSsim])).toEqual([
+        ['logo.webp', 0.98],
+        ['logo.avif', 0.98],
+        ['logo.png', undefined]
+      ]);
+    });
+  });
+
+  describe('auto format', () => {
+    it('should generate every candidate and tag it for selection', () => {
+      const widths = [320];
+      const paths = {
+        ...pathGenerator.generatePaths('logo.png'),
+        widths: pathGenerator.generateWidthPaths('logo.png', widths)
+      };
+      const configs = generator.generate('logo.png', paths, {
+        formats: ['auto'],
+        widths,
+        generateThumbnails: true
+      });
+      
+      expect(configs.map(c => [path.basename(c.outputPath), c.autoCandidate])).toEqual([
+        ['logo.webp', 'webp'],
+        ['logo.avif', 'avif'],
+        ['logo.png', 'original'],
+        ['logo-320.webp', 'webp'],
+        ['logo-320.avif', 'avif'],
+        ['logo-320.png', 'original'],
+        ['logo-thumb.webp', undefined]
+      ]);
+    });
+  });
+
+  describe('GIF inputs', () => {
+    const animation = { width: 40, height: 30, pages: 3, delay: [100, 200, 300], loop: 2 };
+
+    it('should encode animated WebP with frame delays and loop count', () => {
+      const paths = pathGenerator.generatePaths('spinner.gif');
+      const configs = generator.generate('spinner.gif', paths, { animationPoster: true }, animation);
+      
+      expect(configs).toEqual([
+        expect.objectContaining({
+          outputPath: '/output/spinner.webp',
+          format: 'webp',
+          options: { quality: 80, delay: [100, 200, 300], loop: 2 },
+          animated: true
+        }),
+        { outputPath: '/output/spinner.gif', format: 'gif', copy: true },
+        expect.objectContaining({
+          outputPath: '/output/spinner-poster.webp',
+          format: 'webp',
+          options: { quality: 80 }
+        })
+      ]);
+      expect(configs[2].animated).toBeUndefined();
+    });
+
+    it('should treat single-frame GIFs as still images', () => {
+      const paths = pathGenerator.generatePaths('icon.gif');
+      const configs = generator.generate('icon.gif', paths, { animationPoster: true }, { ...animation, pages: 1 });
+      
+      expect(configs.map(c => [path.basename(c.outputPath), !!c.animated])).toEqual([
+        ['icon.webp', false],
+        ['icon.avif', false],
+        ['icon.gif', false]
+      ]);
+    });
+  });
+
+  describe('width ladder', () => {
+    it('should generate one config per width per format', () => {
+      const widths = [320, 640];
+      const paths = {
+        ...pathGenerator.generatePaths('hero.png'),
+        widths: pathGenerator.generateWidthPaths('hero.png', widths)
+      };
+      
+      const configs = generator.generate('hero.png', paths, { widths }, { width: 1000 });
+      const ladder = configs.filter(c => /-\d+\./.test(c.outputPath));
+      
+      expect(ladder.map(c => c.outputPath)).toEqual([
+        '/output/hero-320.webp',
+        '/output/hero-320.avif',
+        '/output/hero-320.png',
+        '/output/hero-640.webp',
+        '/output/hero-640.avif',
+        '/output/hero-640.png'
+      ]);
+      expect(ladder[3]).toMatchObject({
+        format: 'webp',
+        options: { quality: 80 },
+        resize: { width: 640, withoutEnlargement: true, fit: 'inside' }
+      });
+    });
+
+    it('should skip widths larger than the source image', () => {
+      const widths = [320, 640, 1600];
+      const paths = {
+        ...pathGenerator.generatePaths('hero.png'),
+        widths: pathGenerator.generateWidthPaths('hero.png', widths)
+      };
+      
+      const configs = generator.generate('hero.png', paths, { widths, formats: ['webp'] }, { width: 800 });
+      
+      expect(configs.map(c => c.outputPath)).toEqual([
+        '/output/hero.webp',
+        '/output/hero-320.webp',
+        '/output/hero-640.webp'
+      ]);
+    });
+
+    it('should sort and de-duplicate ladder widths', () => {
+      expect(generator.getLadderWidths([640, 320, 640])).toEqual([320, 640]);
+    });
+  });
+
+  describe('watermarks', () => {
+    const watermark = { image: 'brand/logo.png', gravity: 'southeast', opacity: 0.5 };
+    const watermarkPaths = () => ({
+      ...pathGenerator.generatePaths('hero.jpg'),
+      widths: pathGenerator.generateWidthPaths('hero.jpg', [640])
+    });
+    const watermarked = configs => configs.filter(c => c.watermark).map(c => c.outputPath);
+
+    it('should watermark full-size and ladder outputs but not thumbnails by default', () => {
+      const configs = generator.generate('hero.jpg', watermarkPaths(), {
+        formats: ['webp'],
+        widths: [640],
+        generateThumbnails: true,
+        watermark
+      });
+
+      expect(watermarked(configs)).toEqual(['/output/hero.webp', '/output/hero-640.webp']);
+      expect(configs[0].watermark).toBe(watermark);
+    });
+
+    it('should only watermark the configured kinds of outputs', () => {
+      const configs = generator.generate('hero.jpg', watermarkPaths(), {
+        formats: ['webp'],
+        widths: [640],
+        generateThumbnails: true,
+        watermark: { ...watermark, outputs: ['thumbnails'] }
+      });
+
+      expect(watermarked(configs)).toEqual(['/output/hero-thumb.webp']);
+    });
+
+    it('should leave outputs alone when a rule turns the watermark off', () => {
+      generator = new ProcessingConfigGenerator({ formats: ['webp'], watermark });
+
+      expect(watermarked(generator.generate('hero.jpg', watermarkPaths(), { watermark: false }))).toEqual([]);
+    });
+  });
+
+  describe('transforms', () => {
+    it('should add the adjustment steps to every resized output but not copies', () => {
+      const transforms = ['normalize', { type: 'sharpen', sigma: 1 }];
+      const configs = generator.generate('hero.jpg', {
+        ...pathGenerator.generatePaths('hero.jpg'),
+        widths: pathGenerator.generateWidthPaths('hero.jpg', [640])
+      }, {
+        formats: ['webp', 'original'],
+        widths: [640],
+        generateThumbnails: true,
+        transforms
+      });
+
+      expect(configs).toHaveLength(5);
+      configs.forEach(config => expect(config.transforms).toBe(transforms));
+
+      const spinner = generator.generate('spinner.gif', pathGenerator.generatePaths('spinner.gif'), {
+        formats: ['original'],
+        transforms
+      }, { pages: 8 });
+      expect(spinner[0]).not.toHaveProperty('transforms');
+    });
+
+    it('should leave outputs alone when a rule clears the steps', () => {
+      generator = new ProcessingConfigGenerator({ formats: ['webp'], transforms: ['grayscale'] });
+
+      const configs = generator.generate('hero.jpg', pathGenerator.generatePaths('hero.jpg'), { transforms: [] });
+      expect(configs.some(config => config.transforms)).toBe(false);
+    });
+  });
+
+  describe('neverLarger', () => {
+    it('should guard only the full-size output in the source format', () => {
+      const configs = generator.generate('hero.jpg', {
+        ...pathGenerator.generatePaths('hero.jpg'),
+        widths: pathGenerator.generateWidthPaths('hero.jpg', [640])
+      }, {
+        formats: ['webp', 'original'],
+        widths: [640],
+        preserveMetadata: true,
+        neverLarger: true
+      });
+
+      const guarded = configs.filter(config => config.neverLarger);
+      expect(guarded).toHaveLength(1);
+      expect(guarded[0]).toMatchObject({ format: 'jpeg', outputPath: '/output/hero.jpg', neverLarger: 'copy' });
+    });
+
+    it('should not guard outputs that differ from the source', () => {
+      const paths = pathGenerator.generatePaths('logo.png');
+
+      expect(generator.generate('logo.png', paths, { formats: ['original'], neverLarger: 'skip', transforms: ['grayscale'] })
+        .some(config => config.neverLarger)).toBe(false);
+      expect(generator.generate('logo.png', paths, { formats: ['original'], neverLarger: 'skip', watermark: { image: 'logo.png' } })
+        .some(config => config.neverLarger)).toBe(false);
+      expect(generator.generate('photo.webp', pathGenerator.generatePaths('photo.webp'), { formats: ['original'], preserveMetadata: true, neverLarger: 'copy' })
+        .some(config => config.neverLarger)).toBe(false);
+    });
+
+    it('should only copy, not skip, auto-format candidates', () => {
+      const paths = pathGenerator.generatePaths('hero.jpg');
+
+      expect(generator.generate('hero.jpg', paths, { formats: ['auto'], neverLarger: 'skip' })
+        .some(config => config.neverLarger)).toBe(false);
+      expect(generator.generate('hero.jpg', paths, { formats: ['auto'], neverLarger: 'copy' })
+        .find(config => config.autoCandidate === 'original')).toHaveProperty('neverLarger', 'copy');
+    });
+
+    it('should keep the requested mode whatever metadata is kept, which is checked per source', () => {
+      const paths = pathGenerator.generatePaths('hero.jpg');
+      const guard = config => generator.generate('hero.jpg', paths, { formats: ['original'], neverLarger: 'copy', ...config })[0].neverLarger;
+
+      expect(guard({})).toBe('copy');
+      expect(guard({ preserveMetadata: { copyright: true } })).toBe('copy');
+      expect(guard({ preserveMetadata: true, colorSpace: 'p3' })).toBe('copy');
+      expect(guard({ colorSpace: 'srgb', neverLarger: 'skip' })).toBe('skip');
+    });
+  });
+});
\ No newline at end of file
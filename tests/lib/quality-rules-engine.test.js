@@ -273,6 +273,160 @@ describe('QualityRulesEngine', () => {
     });
   });
   
+  describe('Metadata-based rules', () => {
+    beforeEach(() => {
+      const rules = [
+        {
+          format: 'png',
+          hasAlpha: true,
+          quality: { webp: 95 }
+        },
+        {
+          format: ['jpg', 'webp'],
+          quality: { webp: 75 }
+        },
+        {
+          minBytes: 5000000,
+          quality: { avif: 50 }
+        },
+        {
+          minAspectRatio: 2,
+          quality: { jpeg: 70 }
+        }
+      ];
+      engine = new QualityRulesEngine(rules);
+    });
+    
+    it('should match format and alpha channel', () => {
+      const quality = engine.getQualityForImage(
+        'logo.png',
+        { width: 400, height: 400, format: 'png', hasAlpha: true, size: 20000 },
+        { webp: 80 }
+      );
+      
+      expect(quality.webp).toBe(95);
+    });
+    
+    it('should treat jpg and jpeg as the same format', () => {
+      const quality = engine.getQualityForImage(
+        'photo.jpeg',
+        { width: 400, height: 400, format: 'jpeg', hasAlpha: false, size: 20000 },
+        { webp: 80 }
+      );
+      
+      expect(quality.webp).toBe(75);
+    });
+    
+    it('should not match an opaque image against an alpha rule', () => {
+      const quality = engine.getQualityForImage(
+        'flat.png',
+        { width: 400, height: 400, format: 'png', hasAlpha: false, size: 20000 },
+        { webp: 80 }
+      );
+      
+      expect(quality.webp).toBe(80);
+    });
+    
+    it('should match file size and aspect ratio', () => {
+      const quality = engine.getQualityForImage(
+        'panorama.tiff',
+        { width: 8000, height: 2000, format: 'tiff', hasAlpha: false, size: 6000000 },
+        { avif: 80, jpeg: 85 }
+      );
+      
+      expect(quality.avif).toBe(50);
+      expect(quality.jpeg).toBe(70);
+    });
+    
+    it('should not match metadata rules without metadata', () => {
+      const quality = engine.getQualityForImage(
+        'logo.png',
+        null,
+        { webp: 80, avif: 80, jpeg: 85 }
+      );
+      
+      expect(quality).toEqual({ webp: 80, avif: 80, jpeg: 85 });
+    });
+  });
+  
+  describe('Processing profiles', () => {
+    beforeEach(() => {
+      const rules = [
+        {
+          directory: 'logos/',
+          formats: ['original', 'webp'],
+          generateThumbnails: false,
+          formatOptions: { webp: { lossless: true } },
+          quality: { webp: 90 }
+        },
+        {
+          pattern: '*.png',
+          formatOptions: { webp: { effort: 6 }, png: { palette: true } },
+          quality: { webp: 80, avif: 70 }
+        },
+        {
+          directory: 'photos/',
+          resize: { width: 3000, height: 3000 }
+        }
+      ];
+      engine = new QualityRulesEngine(rules);
+    });
+    
+    it('should return only the settings defined by matching rules', () => {
+      const profile = engine.getProfileForImage('photos/beach.jpg', null);
+      
+      expect(profile).toEqual({ resize: { width: 3000, height: 3000 } });
+    });
+    
+    it('should let more specific rules replace settings', () => {
+      const profile = engine.getProfileForImage('logos/brand/mark.png', null);
+      
+      expect(profile.formats).toEqual(['original', 'webp']);
+      expect(profile.generateThumbnails).toBe(false);
+      // Pattern rules outrank directory rules
+      expect(profile.quality).toEqual({ webp: 80, avif: 70 });
+    });
+    
+    it('should merge encoder options per format', () => {
+      const profile = engine.getProfileForImage('logos/mark.png', null);
+      
+      expect(profile.formatOptions).toEqual({
+        webp: { effort: 6, lossless: true },
+        png: { palette: true }
+      });
+    });
+    
+    it('should map rule byte budgets to maxBytes', () => {
+      engine = new QualityRulesEngine([
+        { pattern: '*-hero.*', outputMaxBytes: { webp: 200000 } }
+      ]);
+      
+      expect(engine.getProfileForImage('home-hero.jpg', null)).toEqual({
+        maxBytes: { webp: 200000 }
+      });
+    });
+    
+    it('should map rule output dimensions to maxWidth and maxHeight', () => {
+      engine = new QualityRulesEngine([
+        { directory: 'print/', outputMaxWidth: 6000, outputMaxHeight: 6000, maxMegapixels: 30 },
+        { pattern: 'avatar-*', fit: 'cover', position: 'attention', allowEnlargement: true }
+      ]);
+      
+      expect(engine.getProfileForImage('print/avatar-1.jpg', null)).toEqual({
+        maxWidth: 6000,
+        maxHeight: 6000,
+        maxMegapixels: 30,
+        fit: 'cover',
+        position: 'attention',
+        allowEnlargement: true
+      });
+    });
+    
+    it('should return an empty profile when no rules match', () => {
+      expect(engine.getProfileForImage('icons/mark.svg', null)).toEqual({});
+    });
+  });
+  
   describe('Pattern matching', () => {
     beforeEach(() => {
       const rules = [
@@ -0,0 +1,83 @@
+const ResizeCalculator = require('../../src/utils/resize-calculator');
+
+describe('ResizeCalculator', () => {
+  let calculator;
+
+  beforeEach(() => {
+    calculator = new ResizeCalculator();
+  });
+
+  it('should default to a 2000px box without enlargement', () => {
+    expect(calculator.getResize({}, 'webp')).toEqual({
+      width: 2000,
+      height: 2000,
+      withoutEnlargement: true,
+      fit: 'inside'
+    });
+  });
+
+  it('should prefer a rule resize box over the maximum dimensions', () => {
+    expect(calculator.getResize({ resize: { width: 640 }, maxWidth: 3000 }, 'jpeg')).toMatchObject({
+      width: 640,
+      height: undefined
+    });
+  });
+
+  it('should keep outputs under the megapixel limit', () => {
+    const resize = calculator.getResize({ maxWidth: 10000, maxHeight: 10000, maxMegapixels: 2 }, 'webp', {
+      width: 4000,
+      height: 3000
+    });
+
+    expect(resize.width * resize.height).toBeLessThanOrEqual(2000000);
+    expect(resize).toMatchObject({ width: 1632, height: 1224 });
+  });
+
+  it('should leave images already under the megapixel limit alone', () => {
+    const resize = calculator.getResize({ maxMegapixels: 12 }, 'webp', { width: 1000, height: 800 });
+
+    expect(resize).toMatchObject({ width: 2000, height: 2000 });
+  });
+
+  it('should limit the box itself for fits that fill it', () => {
+    const resize = calculator.getResize({ maxWidth: 4000, maxHeight: 2000, fit: 'cover', maxMegapixels: 2 }, 'webp');
+
+    expect(resize).toMatchObject({ width: 2000, height: 1000 });
+  });
+
+  it('should swap dimensions for quarter turns and use the crop box size', () => {
+    const metadata = { width: 400, height: 300 };
+
+    expect(calculator.getTransformedSize(metadata, { rotate: 90 })).toEqual({ width: 300, height: 400 });
+    expect(calculator.getTransformedSize(metadata, { rotate: 180 })).toEqual({ width: 400, height: 300 });
+    expect(calculator.getTransformedSize(metadata, {
+      rotate: 90,
+      crop: { left: 0, top: 0, width: 100, height: 50 }
+    })).toEqual({ width: 100, height: 50 });
+  });
+
+  it('should crop around the focal point as far as the edges allow', () => {
+    const resize = { width: 100, height: 100, withoutEnlargement: true };
+    const size = { width: 400, height: 200 };
+
+    expect(calculator.getFocalCrop(resize, size, { x: 0.75, y: 0.5 })).toEqual({
+      width: 200,
+      height: 100,
+      extract: { left: 100, top: 0, width: 100, height: 100 }
+    });
+    expect(calculator.getFocalCrop(resize, size, { x: 1, y: 1 }).extract).toMatchObject({ left: 100, top: 0 });
+    expect(calculator.getFocalCrop(resize, size, { x: 0, y: 0 }).extract).toMatchObject({ left: 0, top: 0 });
+  });
+
+  it('should not enlarge small sources for focal point crops', () => {
+    expect(calculator.getFocalCrop(
+      { width: 300, height: 300, withoutEnlargement: true },
+      { width: 200, height: 100 },
+      { x: 0.5, y: 0.5 }
+    )).toEqual({ width: 200, height: 100, extract: { left: 0, top: 0, width: 200, height: 100 } });
+  });
+
+  it('should leave boxes without both dimensions to sharp', () => {
+    expect(calculator.getFocalCrop({ width: 100 }, { width: 400, height: 200 }, { x: 0.5, y: 0.5 })).toBeNull();
+  });
+});
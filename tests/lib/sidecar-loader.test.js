@@ -0,0 +1,123 @@
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const SidecarLoader = require('../../src/config/sidecar-loader');
+
+describe('SidecarLoader', () => {
+  let loader;
+  let tempDir;
+  let inputPath;
+
+  beforeEach(async () => {
+    loader = new SidecarLoader();
+    tempDir = path.join(os.tmpdir(), `sidecar-test-${Date.now()}`);
+    await fs.mkdir(tempDir, { recursive: true });
+    inputPath = path.join(tempDir, 'photo.jpg');
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  const writeJson = (name, data) => fs.writeFile(path.join(tempDir, name), JSON.stringify(data));
+
+  describe('load', () => {
+    it('should return null when the image has no sidecar', async () => {
+      await writeJson('images.meta.json', { 'other.jpg': { alt: 'Other' } });
+
+      expect(await loader.load(inputPath)).toBeNull();
+    });
+
+    it('should read the image\'s own sidecar', async () => {
+      await writeJson('photo.jpg.json', { alt: 'A photo', rotate: 90 });
+
+      expect(await loader.load(inputPath)).toEqual({
+        files: [`${inputPath}.json`],
+        alt: 'A photo',
+        rotate: 90
+      });
+    });
+
+    it('should let the own sidecar win over the images.meta.json entry', async () => {
+      await writeJson('images.meta.json', {
+        'photo.jpg': { alt: 'Shared', focalPoint: { x: 0.2, y: 0.3 }, overrides: { quality: { webp: 70 }, formats: ['webp'] } }
+      });
+      await writeJson('photo.jpg.json', { alt: 'Own', overrides: { quality: { webp: 95 } } });
+
+      expect(await loader.load(inputPath)).toEqual({
+        files: [path.join(tempDir, 'images.meta.json'), `${inputPath}.json`],
+        alt: 'Own',
+        focalPoint: { x: 0.2, y: 0.3 },
+        overrides: { quality: { webp: 95 }, formats: ['webp'] }
+      });
+    });
+
+    it('should reject invalid JSON', async () => {
+      await fs.writeFile(`${inputPath}.json`, '{ invalid');
+
+      await expect(loader.load(inputPath)).rejects.toThrow('Invalid JSON in photo.jpg.json');
+    });
+
+    it('should name the images.meta.json entry in validation errors', async () => {
+      await writeJson('images.meta.json', { 'photo.jpg': { rotate: 45 } });
+
+      await expect(loader.load(inputPath)).rejects.toThrow(
+        'images.meta.json "photo.jpg": rotate must be one of: 0, 90, 180, 270'
+      );
+    });
+  });
+
+  describe('validate', () => {
+    it.each([
+      [{ caption: 'x' }, 'invalid setting caption'],
+      [{ focalPoint: { x: 1.5, y: 0.5 } }, 'focalPoint.x must be between 0 and 1'],
+      [{ focalPoint: 'centre' }, 'focalPoint must be an object with x and y'],
+      [{ crop: { left: -1, top: 0, width: 10, height: 10 } }, 'crop.left must be a non-negative integer'],
+      [{ crop: { left: 0, top: 0, width: 10 } }, 'crop.height must be a positive integer'],
+      [{ alt: 42 }, 'alt must be a string'],
+      [{ overrides: { pattern: '*.jpg' } }, 'overrides has invalid setting pattern'],
+      [{ overrides: { quality: { webp: 120 } } }, 'photo.jpg.json: overrides.quality.webp must be between 1 and 100'],
+      [{ overrides: { fit: 'stretch' } }, 'overrides.fit must be one of']
+    ])('should reject %j', (settings, message) => {
+      expect(() => loader.validate(settings, 'photo.jpg.json')).toThrow(message);
+    });
+  });
+
+  describe('applyTo', () => {
+    it('should merge overrides over the rule profile and collect the transforms', () => {
+      const options = {
+        quality: { webp: 80, avif: 60 },
+        overrides: { formats: ['webp', 'avif'], formatOptions: { webp: { effort: 6 } } },
+        metadata: { width: 400, height: 300 }
+      };
+
+      const applied = loader.applyTo(options, {
+        rotate: 180,
+        focalPoint: { x: 0.5, y: 0.2 },
+        overrides: {
+          quality: { webp: 95 },
+          outputMaxWidth: 800,
+          formatOptions: { webp: { nearLossless: true } }
+        }
+      });
+
+      expect(applied).toEqual({
+        quality: { webp: 95, avif: 60 },
+        overrides: {
+          formats: ['webp', 'avif'],
+          maxWidth: 800,
+          formatOptions: { webp: { effort: 6, nearLossless: true } }
+        },
+        metadata: { width: 400, height: 300 },
+        transforms: { rotate: 180, focalPoint: { x: 0.5, y: 0.2 } }
+      });
+      expect(options.overrides.formatOptions.webp).toEqual({ effort: 6 });
+    });
+
+    it('should leave the options without transforms for alt-only sidecars', () => {
+      const applied = loader.applyTo({ quality: { webp: 80 }, overrides: {} }, { alt: 'Text' });
+
+      expect(applied).not.toHaveProperty('transforms');
+    });
+  });
+});
\ No newline at end of file
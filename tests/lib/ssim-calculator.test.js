@@ -0,0 +1,64 @@
+const SsimCalculator = require('../../src/utils/ssim-calculator');
+
+describe('SsimCalculator', () => {
+  let calculator;
+  const info = { width: 16, height: 16, channels: 1 };
+
+  // Deterministic pseudo-random texture so windows have real variance
+  function createTexture(seed = 1) {
+    const pixels = Buffer.alloc(info.width * info.height);
+    let state = seed;
+    for (let i = 0; i < pixels.length; i++) {
+      state = (state * 1103515245 + 12345) % 2147483648;
+      pixels[i] = state % 256;
+    }
+    return pixels;
+  }
+
+  beforeEach(() => {
+    calculator = new SsimCalculator();
+  });
+
+  it('should score identical images as 1', () => {
+    const pixels = createTexture();
+    
+    expect(calculator.calculate(pixels, Buffer.from(pixels), info)).toBeCloseTo(1, 10);
+  });
+
+  it('should score stronger distortion lower', () => {
+    const pixels = createTexture();
+    const distort = amount => Buffer.from(pixels.map((value, i) => 
+      Math.max(0, Math.min(255, value + (i % 2 ? amount : -amount)))
+    ));
+    
+    const slight = calculator.calculate(pixels, distort(4), info);
+    const heavy = calculator.calculate(pixels, distort(40), info);
+    
+    expect(slight).toBeLessThan(1);
+    expect(heavy).toBeLessThan(slight);
+  });
+
+  it('should score unrelated images close to 0', () => {
+    const score = calculator.calculate(createTexture(1), createTexture(2), info);
+    
+    expect(Math.abs(score)).toBeLessThan(0.2);
+  });
+
+  it('should only read the first channel', () => {
+    const pixels = createTexture();
+    const rgb = Buffer.alloc(pixels.length * 3);
+    const shuffled = Buffer.alloc(pixels.length * 3);
+    pixels.forEach((value, i) => {
+      rgb[i * 3] = value;
+      shuffled[i * 3] = value;
+      shuffled[i * 3 + 1] = 255 - value;
+    });
+    
+    expect(calculator.calculate(rgb, shuffled, { ...info, channels: 3 })).toBeCloseTo(1, 10);
+  });
+
+  it('should reject images of different sizes', () => {
+    expect(() => calculator.calculate(Buffer.alloc(4), Buffer.alloc(8), { width: 2, height: 2 }))
+      .toThrow('SSIM requires images of the same size');
+  });
+});
@@ -3,6 +3,7 @@ const path = require('path');
 const os = require('os');
 const { execSync } = require('child_process');
 const sharp = require('sharp');
+const MetadataFilter = require('../src/utils/metadata-filter');
 
 describe('Metadata Preservation E2E', () => {
   let testDir;
@@ -107,6 +108,65 @@ describe('Metadata Preservation E2E', () => {
     });
   });
   
+  describe('Selective metadata preservation', () => {
+    it('should keep only the selected metadata groups', async () => {
+      await fs.writeFile(
+        path.join(testDir, '.imagerc'),
+        JSON.stringify({
+          formats: ['original', 'webp'],
+          preserveMetadata: {
+            copyright: true,
+            creator: true,
+            gps: false,
+            camera: false
+          }
+        })
+      );
+      
+      await sharp({
+        create: {
+          width: 200,
+          height: 200,
+          channels: 3,
+          background: { r: 0, g: 128, b: 255 }
+        }
+      })
+        .jpeg()
+        .withExif({
+          IFD0: {
+            Copyright: 'Selective Copyright',
+            Artist: 'Selective Artist',
+            Make: 'Canon',
+            Model: 'EOS R5'
+          },
+          IFD2: {
+            BodySerialNumber: '0123456789'
+          },
+          IFD3: {
+            GPSLatitudeRef: 'N',
+            GPSLatitude: '51/1 30/1 1234/100'
+          }
+        })
+        .toFile(path.join(testDir, 'original', 'test.jpg'));
+      
+      const { exitCode } = runOptimizer();
+      expect(exitCode).toBe(0);
+      
+      const filter = new MetadataFilter();
+      for (const output of ['test.jpg', 'test.webp']) {
+        const { exif } = await sharp(path.join(testDir, 'optimized', output)).metadata();
+        const tags = filter.readExif(exif);
+        
+        expect(tags.IFD0).toEqual({
+          Copyright: 'Selective Copyright',
+          Artist: 'Selective Artist'
+        });
+        expect(tags.IFD2?.BodySerialNumber).toBeUndefined();
+        expect(tags.IFD3).toBeUndefined();
+      }
+    });
+  });
+  
   describe('Format compatibility', () => {
     it('should handle metadata in WebP conversion', async () => {
       // Create config
@@ -149,6 +209,46 @@ describe('Metadata Preservation E2E', () => {
     });
   });
   
+  describe('Color spaces', () => {
+    // Source pixels as stored, without converting through the embedded profile
+    const storedPixel = async file => [...(await sharp(file, { ignoreIcc: true }).raw().toBuffer()).subarray(0, 3)];
+    
+    beforeEach(async () => {
+      // Display P3 source: sRGB red stored as P3 values with a P3 profile
+      await sharp({ create: { width: 64, height: 64, channels: 3, background: { r: 255, g: 0, b: 0 } } })
+        .withIccProfile('p3')
+        .jpeg({ quality: 100 })
+        .toFile(path.join(testDir, 'original', 'wide.jpg'));
+    });
+    
+    it.each([
+      ['srgb', ([r, g]) => r > 250 && g < 10],
+      ['p3', ([r, g]) => r < 245 && g > 40],
+      ['preserve', ([r, g]) => r < 245 && g > 40]
+    ])('should tag outputs with a profile for colorSpace %s without keeping metadata', async (colorSpace, matches) => {
+      await fs.writeFile(
+        path.join(testDir, '.imagerc'),
+        JSON.stringify({ formats: ['webp'], generateThumbnails: false, preserveMetadata: false, colorSpace })
+      );
+      
+      expect(runOptimizer().exitCode).toBe(0);
+      
+      const outputPath = path.join(testDir, 'optimized', 'wide.webp');
+      const metadata = await sharp(outputPath).metadata();
+      expect(metadata.icc).toBeDefined();
+      expect(metadata.exif).toBeUndefined();
+      expect(matches(await storedPixel(outputPath))).toBe(true);
+    });
+    
+    it('should reject unknown color spaces', async () => {
+      await fs.writeFile(path.join(testDir, '.imagerc'), JSON.stringify({ colorSpace: 'adobe-rgb' }));
+      
+      const { exitCode, output } = runOptimizer();
+      expect(exitCode).toBe(1);
+      expect(output).toContain('colorSpace must be one of: srgb, p3, preserve');
+    });
+  });
+  
   describe('Configuration validation', () => {
     it('should reject invalid metadata configuration', async () => {
       await fs.writeFile(
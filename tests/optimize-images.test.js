@@ -274,6 +274,134 @@ describe('optimize-images.js', () => {
     expect(outputFiles).not.toContain('test.avif');
   });
 
+  test('should convert animated GIFs to animated WebP with a poster frame', async () => {
+    const frames = await Promise.all([[255, 0, 0], [0, 255, 0], [0, 0, 255]].map(([r, g, b]) => 
+      sharp({ create: { width: 40, height: 30, channels: 3, background: { r, g, b } } }).png().toBuffer()
+    ));
+    await sharp(frames, { join: { animated: true } })
+      .gif({ delay: [100, 200, 300], loop: 2 })
+      .toFile(path.join(inputDir, 'spinner.gif'));
+    await fs.writeFile(
+      path.join(testDir, '.imagerc'),
+      JSON.stringify({ formats: ['webp', 'avif', 'original'], animationPoster: true })
+    );
+
+    const result = runScript();
+    expect(result.exitCode).toBe(0);
+    
+    const webp = await sharp(path.join(outputDir, 'spinner.webp')).metadata();
+    expect(webp.pages).toBe(3);
+    expect(webp.delay).toEqual([100, 200, 300]);
+    expect(webp.loop).toBe(2);
+    
+    const poster = await sharp(path.join(outputDir, 'spinner-poster.webp')).metadata();
+    expect(poster.pages).toBeUndefined();
+    expect(poster.width).toBe(40);
+    
+    const outputFiles = await fs.readdir(outputDir);
+    expect(outputFiles).toContain('spinner.gif');
+    expect(outputFiles).not.toContain('spinner.avif');
+  });
+
+  test('should process TIFF and SVG sources and report missing decoders', async () => {
+    await sharp({
+      create: { width: 60, height: 40, channels: 3, background: { r: 200, g: 100, b: 50 } }
+    })
+      .tiff()
+      .toFile(path.join(inputDir, 'export.tiff'));
+    await fs.writeFile(
+      path.join(inputDir, 'logo.svg'),
+      '<svg xmlns="http://www.w3.org/2000/svg" width="20" height="10"><rect width="20" height="10" fill="red"/></svg>'
+    );
+    // The prebuilt sharp binaries ship without a HEIC decoder
+    await fs.writeFile(path.join(inputDir, 'phone.heic'), 'not decodable here');
+    await fs.writeFile(path.join(inputDir, 'notes.txt'), 'not an image');
+    await fs.writeFile(
+      path.join(testDir, '.imagerc'),
+      JSON.stringify({ formats: ['webp', 'original'], generateThumbnails: false, svgDensity: 144 })
+    );
+
+    const result = runScript();
+    expect(result.exitCode).toBe(0);
+    expect(result.output).toContain('Found 3 images');
+    expect(result.output).toContain('Skipping phone.heic (this libvips build has no decoder for .heic files)');
+    expect(result.output).toContain('Unsupported: 1 files');
+
+    const tiffOriginal = await sharp(path.join(outputDir, 'export.jpg')).metadata();
+    expect(tiffOriginal.format).toBe('jpeg');
+
+    // 144 DPI is twice the SVG's nominal 72 DPI size
+    const svgWebp = await sharp(path.join(outputDir, 'logo.webp')).metadata();
+    expect(svgWebp.width).toBe(40);
+    const svgOriginal = await sharp(path.join(outputDir, 'logo.png')).metadata();
+    expect(svgOriginal.format).toBe('png');
+  });
+
+  test('should re-rasterize SVG sources when svgDensity changes with hash change detection', async () => {
+    await fs.writeFile(
+      path.join(inputDir, 'logo.svg'),
+      '<svg xmlns="http://www.w3.org/2000/svg" width="20" height="10"><rect width="20" height="10" fill="red"/></svg>'
+    );
+    const writeConfig = svgDensity => fs.writeFile(
+      path.join(testDir, '.imagerc'),
+      JSON.stringify({ formats: ['webp'], generateThumbnails: false, changeDetection: 'hash', svgDensity })
+    );
+
+    await writeConfig(72);
+    expect(runScript().exitCode).toBe(0);
+    expect((await sharp(await fs.readFile(path.join(outputDir, 'logo.webp'))).metadata()).width).toBe(20);
+
+    await writeConfig(144);
+    const result = runScript();
+    expect(result.exitCode).toBe(0);
+    expect(result.output).not.toContain('Skipping logo.svg');
+    expect((await sharp(await fs.readFile(path.join(outputDir, 'logo.webp'))).metadata()).width).toBe(40);
+  });
+
+  test('should re-pick the auto format when autoTolerance changes with hash change detection', async () => {
+    await sharp({
+      create: { width: 16, height: 16, channels: 3, background: { r: 40, g: 90, b: 160 } }
+    })
+      .png()
+      .toFile(path.join(inputDir, 'tile.png'));
+    const writeConfig = autoTolerance => fs.writeFile(
+      path.join(testDir, '.imagerc'),
+      JSON.stringify({ formats: ['auto'], generateThumbnails: false, changeDetection: 'hash', autoTolerance })
+    );
+    const outputs = async () => (await fs.readdir(outputDir)).filter(f => f.startsWith('tile'));
+
+    await writeConfig(0);
+    expect(runScript().exitCode).toBe(0);
+    expect(await outputs()).toEqual(['tile.webp']);
+
+    // The PNG is within twice the WebP size, so the original wins
+    await writeConfig(1);
+    const result = runScript();
+    expect(result.exitCode).toBe(0);
+    expect(result.output).not.toContain('Skipping tile.png');
+    expect(await outputs()).toEqual(['tile.png']);
+  });
+
+  test('should only pick up the configured input extensions', async () => {
+    await sharp({
+      create: { width: 20, height: 20, channels: 3, background: { r: 0, g: 0, b: 0 } }
+    }).png().toFile(path.join(inputDir, 'icon.png'));
+    await sharp({
+      create: { width: 20, height: 20, channels: 3, background: { r: 0, g: 0, b: 0 } }
+    }).tiff().toFile(path.join(inputDir, 'scan.TIF'));
+    await fs.writeFile(
+      path.join(testDir, '.imagerc'),
+      JSON.stringify({ formats: ['webp'], generateThumbnails: false, inputExtensions: ['.tif'] })
+    );
+
+    const result = runScript();
+    expect(result.exitCode).toBe(0);
+    expect(result.output).toContain('Found 1 images');
+
+    const outputFiles = await fs.readdir(outputDir);
+    expect(outputFiles.sort()).toEqual(['image-manifest.json', 'scan.webp']);
+  });
+
   test('should resume from previous state when --resume flag is used', async () => {
     // Create multiple test images
     for (let i = 1; i <= 3; i++) {
@@ -414,6 +542,41 @@ describe('optimize-images.js', () => {
     }
   });
 
+  test('should process images in parallel with --concurrency flag', async () => {
+    for (let i = 1; i <= 6; i++) {
+      await sharp({
+        create: {
+          width: 100,
+          height: 100,
+          channels: 4,
+          background: { r: i * 40, g: 0, b: 0, alpha: 1 }
+        }
+      })
+        .png()
+        .toFile(path.join(inputDir, `test${i}.png`));
+    }
+    await fs.writeFile(path.join(inputDir, 'corrupt.png'), 'not a valid png');
+
+    const result = runScript('--concurrency=3 --continue-on-error');
+    
+    expect(result.exitCode).toBe(0);
+    expect(result.output).toMatch(/Processed: 6 images/);
+    expect(result.output).toMatch(/Errors: 1 images/);
+    
+    const outputFiles = await fs.readdir(outputDir);
+    for (let i = 1; i <= 6; i++) {
+      expect(outputFiles).toContain(`test${i}.png`);
+      expect(outputFiles).toContain(`test${i}.webp`);
+    }
+  });
+
+  test('should reject an invalid --concurrency value', () => {
+    const result = runScript('--concurrency=0');
+    
+    expect(result.exitCode).toBe(1);
+    expect(result.output).toContain('concurrency must be a positive integer');
+  });
+
   test('should continue processing after errors with --continue-on-error flag', async () => {
     // Create mix of valid and invalid images
     await sharp({
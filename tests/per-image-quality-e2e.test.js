@@ -272,6 +272,156 @@ describe('Per-Image Quality E2E', () => {
     });
   });
   
+  describe('Encoder settings', () => {
+    it('should encode images matched by different rules with their own quality', async () => {
+      const config = {
+        formats: ['webp'],
+        generateThumbnails: false,
+        quality: { webp: 70 },
+        qualityRules: [
+          {
+            pattern: '*-hero.*',
+            quality: { webp: 95 }
+          },
+          {
+            pattern: '*-thumb.*',
+            quality: { webp: 30 }
+          }
+        ]
+      };
+      
+      await fs.writeFile('.imagerc', JSON.stringify(config, null, 2));
+      
+      const testImageBuffer = await createTestImage();
+      await fs.writeFile('original/banner-hero.png', testImageBuffer);
+      await fs.writeFile('original/product-thumb.png', testImageBuffer);
+      
+      execSync(`node ${scriptPath}`, { encoding: 'utf8' });
+      
+      // Same pipeline as ImageProcessor, so identical settings give identical bytes
+      const encode = quality => sharp(testImageBuffer)
+        .rotate()
+        .resize(2000, 2000, { withoutEnlargement: true, fit: 'inside' })
+        .webp({ quality })
+        .toBuffer();
+      
+      const hero = await fs.readFile('optimized/banner-hero.webp');
+      const thumb = await fs.readFile('optimized/product-thumb.webp');
+      
+      expect(hero.equals(await encode(95))).toBe(true);
+      expect(thumb.equals(await encode(30))).toBe(true);
+      expect(hero.equals(thumb)).toBe(false);
+    });
+  });
+  
+  describe('Processing profiles', () => {
+    it('should override formats, thumbnails and encoder options per rule', async () => {
+      const config = {
+        formats: ['webp', 'avif', 'original'],
+        generateThumbnails: true,
+        quality: { webp: 70 },
+        qualityRules: [
+          {
+            directory: 'logos/',
+            formats: ['original', 'webp'],
+            generateThumbnails: false,
+            formatOptions: { webp: { lossless: true } }
+          },
+          {
+            directory: 'photos/',
+            resize: { width: 400, height: 400 }
+          }
+        ]
+      };
+      
+      await fs.writeFile('.imagerc', JSON.stringify(config, null, 2));
+      await fs.mkdir('original/logos', { recursive: true });
+      await fs.mkdir('original/photos', { recursive: true });
+      
+      const testImageBuffer = await createTestImage();
+      await fs.writeFile('original/logos/brand.png', testImageBuffer);
+      await fs.writeFile('original/photos/beach.png', testImageBuffer);
+      
+      execSync(`node ${scriptPath}`, { encoding: 'utf8' });
+      
+      const logoOutputs = (await fs.readdir('optimized/logos')).sort();
+      expect(logoOutputs).toEqual(['brand.png', 'brand.webp']);
+      
+      const lossless = await sharp(testImageBuffer).webp({ lossless: true }).toBuffer();
+      expect((await fs.readFile('optimized/logos/brand.webp')).equals(lossless)).toBe(true);
+      
+      const photoOutputs = (await fs.readdir('optimized/photos')).sort();
+      expect(photoOutputs).toEqual(['beach-thumb.webp', 'beach.avif', 'beach.png', 'beach.webp']);
+      
+      const photoMetadata = await sharp('optimized/photos/beach.webp').metadata();
+      expect(photoMetadata.width).toBe(400);
+    });
+  });
+  
+  describe('Byte budgets', () => {
+    it('should pick the highest quality that fits and flag budgets that cannot be met', async () => {
+      const config = {
+        formats: ['webp'],
+        generateThumbnails: false,
+        manifest: true,
+        quality: { webp: 90 },
+        maxBytes: { webp: 30000 },
+        qualityRules: [
+          {
+            pattern: '*-tiny.*',
+            outputMaxBytes: 200
+          }
+        ]
+      };
+      
+      await fs.writeFile('.imagerc', JSON.stringify(config, null, 2));
+      
+      const testImageBuffer = await createTestImage();
+      await fs.writeFile('original/photo.png', testImageBuffer);
+      await fs.writeFile('original/icon-tiny.png', testImageBuffer);
+      
+      const result = execSync(`node ${scriptPath} 2>&1`, { encoding: 'utf8' });
+      
+      const manifest = JSON.parse(await fs.readFile('optimized/image-manifest.json', 'utf8'));
+      const photo = manifest.images['photo.png'].outputs[0];
+      const tiny = manifest.images['icon-tiny.png'].outputs[0];
+      
+      expect(photo).toMatchObject({ maxBytes: 30000, budgetMet: true });
+      expect(photo.quality).toBeLessThan(90);
+      expect(photo.size).toBeLessThanOrEqual(30000);
+      expect(result).toContain(`photo.webp: quality ${photo.quality} fits the 29.3 KB budget`);
+      
+      expect(tiny).toMatchObject({ maxBytes: 200, budgetMet: false, quality: 1 });
+      expect(result).toContain('icon-tiny.webp exceeds the 0.2 KB budget even at quality 1');
+    });
+  });
+  
+  describe('SSIM targets', () => {
+    it('should pick the lowest quality that reaches the target and record the score', async () => {
+      const config = {
+        formats: ['webp'],
+        generateThumbnails: false,
+        manifest: true,
+        targetSsim: 0.9
+      };
+      
+      await fs.writeFile('.imagerc', JSON.stringify(config, null, 2));
+      
+      const testImageBuffer = await createTestImage();
+      await fs.writeFile('original/photo.png', testImageBuffer);
+      
+      const result = execSync(`node ${scriptPath} 2>&1`, { encoding: 'utf8' });
+      
+      const manifest = JSON.parse(await fs.readFile('optimized/image-manifest.json', 'utf8'));
+      const output = manifest.images['photo.png'].outputs[0];
+      
+      expect(output.targetSsim).toBe(0.9);
+      expect(output.ssim).toBeGreaterThanOrEqual(0.9);
+      expect(output.quality).toBeLessThan(100);
+      expect(result).toContain(`photo.webp: quality ${output.quality} reaches SSIM ${output.ssim.toFixed(4)}`);
+    });
+  });
+  
   describe('Debug output', () => {
     it('should show which rules are being applied', async () => {
       const config = {